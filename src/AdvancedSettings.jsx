@@ -0,0 +1,76 @@
+import { DETECTOR_PARAMS } from './utils/audioUtils';
+import { DEFAULT_DETECTOR_PARAMS } from './utils/settingsStore';
+import './AdvancedSettings.css';
+
+const GROUPS = [
+  { id: 'pitch', name: 'Pitch' },
+  { id: 'notes', name: 'Notes' },
+  { id: 'beat', name: 'Beat' },
+  { id: 'key', name: 'Key' }
+];
+
+// Decimal places to show for a slider step
+const stepDigits = (step) => (String(step).split('.')[1] || '').length;
+
+// Detector tuning (DETECTOR_PARAMS) as sliders; every change reaches the running detectors straight away
+export default function AdvancedSettings({ params, onChange, onClose }) {
+  const setParam = (detector, name, value) => {
+    onChange({ ...params, [detector]: { ...params[detector], [name]: value } });
+  };
+
+  const isDefault = GROUPS.every(({ id }) =>
+    Object.keys(DETECTOR_PARAMS[id]).every(name => params[id][name] === DEFAULT_DETECTOR_PARAMS[id][name])
+  );
+
+  return (
+    <div className="advanced-settings">
+      <div className="section-header">
+        <h3>Advanced Settings</h3>
+        <div className="advanced-actions">
+          <button
+            className="btn btn-compact btn-secondary"
+            onClick={() => onChange(DEFAULT_DETECTOR_PARAMS)}
+            disabled={isDefault}
+          >
+            Reset to defaults
+          </button>
+          <button className="btn btn-compact btn-danger" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="advanced-groups">
+        {GROUPS.map(({ id, name }) => (
+          <div key={id} className="advanced-group">
+            <h4>{name}</h4>
+            {Object.entries(DETECTOR_PARAMS[id]).map(([paramName, param]) => {
+              const value = params[id][paramName];
+              const changed = value !== param.default;
+              return (
+                <label key={paramName} className="advanced-param" title={param.description}>
+                  <span className="advanced-param-name">{param.label}</span>
+                  <input
+                    type="range"
+                    min={param.min}
+                    max={param.max}
+                    step={param.step}
+                    value={value}
+                    onChange={(e) => setParam(id, paramName, Number(e.target.value))}
+                  />
+                  <span
+                    className={`advanced-param-value ${changed ? 'changed' : ''}`}
+                    onDoubleClick={() => setParam(id, paramName, param.default)}
+                    title={changed ? `Default ${param.default}; double-click to restore` : 'Default'}
+                  >
+                    {value.toFixed(stepDigits(param.step))}{param.unit ? ` ${param.unit}` : ''}
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
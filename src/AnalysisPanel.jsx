@@ -1,7 +1,18 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { NOTE_NAMES } from './utils/audioUtils';
 import './AnalysisPanel.css';
 
-export default function AnalysisPanel({ keyData, beatData, noteHistogram, audioContext, fftSize }) {
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+// Keys a fifth apart get neighbouring hues; minor keys are darker
+const keyColor = (key) => {
+  const [tonic, mode] = key.split(' ');
+  const hue = ((NOTE_NAMES.indexOf(tonic) * 7) % 12) * 30;
+  return `hsla(${hue}, 65%, ${mode === 'Minor' ? 38 : 52}%, 0.85)`;
+};
+
+export default function AnalysisPanel({ keyData, keyRegions = [], beatData, noteHistogram, noteWeighting, audioContext, fftSize }) {
+  const [keyHistogramView, setKeyHistogramView] = useState('lifetime'); // 'lifetime' or 'recent'
   const keyCanvasRef = useRef(null);
   const bpmCanvasRef = useRef(null);
   const noteCanvasRef = useRef(null);
@@ -9,7 +20,8 @@ export default function AnalysisPanel({ keyData, beatData, noteHistogram, audioC
   // Draw key histogram
   useEffect(() => {
     const canvas = keyCanvasRef.current;
-    if (!canvas || !keyData?.histogram) return;
+    const source = keyHistogramView === 'recent' ? keyData?.recentHistogram : keyData?.histogram;
+    if (!canvas || !source) return;
 
     // Set canvas size from container
     canvas.width = canvas.offsetWidth;
@@ -20,7 +32,7 @@ export default function AnalysisPanel({ keyData, beatData, noteHistogram, audioC
     
     ctx.clearRect(0, 0, width, height);
     
-    const histogram = keyData.histogram.slice(0, 10); // Show top 10
+    const histogram = source.slice(0, 10); // Show top 10
     if (histogram.length === 0) return;
     
     const barWidth = width / histogram.length;
@@ -59,7 +71,7 @@ export default function AnalysisPanel({ keyData, beatData, noteHistogram, audioC
         ctx.fillText(`${item.confidence}%`, x + barWidth / 2, y + 15);
       }
     });
-  }, [keyData]);
+  }, [keyData, keyHistogramView]);
 
   // Draw BPM histogram
   useEffect(() => {
@@ -158,10 +170,10 @@ export default function AnalysisPanel({ keyData, beatData, noteHistogram, audioC
         ctx.fillStyle = '#fff';
         ctx.font = 'bold 11px system-ui';
         ctx.textAlign = 'center';
-        ctx.fillText(item.count, x + barWidth / 2, y + 15);
+        ctx.fillText(noteWeighting === 'duration' ? `${item.count.toFixed(1)}s` : item.count, x + barWidth / 2, y + 15);
       }
     });
-  }, [noteHistogram]);
+  }, [noteHistogram, noteWeighting]);
 
   // Get audio context info
   const getAudioInfo = () => {
@@ -211,12 +223,90 @@ export default function AnalysisPanel({ keyData, beatData, noteHistogram, audioC
             </div>
           )}
         </div>
+        <div className="histogram-toggle">
+          {[['lifetime', 'Lifetime'], ['recent', 'Recent']].map(([view, label]) => (
+            <button
+              key={view}
+              className={`btn btn-compact ${keyHistogramView === view ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setKeyHistogramView(view)}
+              style={{fontSize: '0.7rem', padding: '0.3rem 0.6rem'}}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
         <canvas 
           ref={keyCanvasRef}
           className="histogram-canvas"
         />
         <p className="histogram-description">
-          Correlation scores for all possible keys (top 10 shown)
+          {keyHistogramView === 'recent'
+            ? 'Key votes over the consensus window only, so a change of key shows up (top 10 shown)'
+            : 'Key votes since the session started (top 10 shown)'}
+        </p>
+        {keyRegions.length > 0 && (
+          <>
+            <div className="key-timeline">
+              {keyRegions.map((region, i) => {
+                const first = keyRegions[0].start;
+                const span = Math.max(keyRegions[keyRegions.length - 1].end - first, 1e-3);
+                return (
+                  <div
+                    key={`${region.key}-${region.start}`}
+                    className="key-region"
+                    style={{
+                      left: `${((region.start - first) / span) * 100}%`,
+                      width: `${((region.end - region.start) / span) * 100}%`,
+                      background: keyColor(region.key)
+                    }}
+                    title={`${i > 0 ? `${keyRegions[i - 1].key} → ` : ''}${region.key}, ${formatTime(region.start)}-${formatTime(region.end)}`}
+                  >
+                    {region.key}
+                  </div>
+                );
+              })}
+            </div>
+            <div className="key-timeline-times">
+              <span>{formatTime(keyRegions[0].start)}</span>
+              <span>
+                {keyRegions.length === 1 ? 'No modulation' : `${keyRegions.length - 1} key change${keyRegions.length > 2 ? 's' : ''}`}
+              </span>
+              <span>{formatTime(keyRegions[keyRegions.length - 1].end)}</span>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="analysis-section">
+        <div className="section-header">
+          <h3>Scale Detection</h3>
+          {keyData && keyData.scale && (
+            <div className="detection-values">
+              <span className="consensus-value">
+                Best fit: <strong>{keyData.scale.name}</strong> ({keyData.scale.fit}% inside)
+              </span>
+              {keyData.scale.alternatives.length > 0 && (
+                <span className="instantaneous-value">
+                  Also close: {keyData.scale.alternatives.map(alternative => alternative.name).join(', ')}
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+        {keyData && keyData.scale ? (
+          <div className="scale-notes">
+            {keyData.scale.notes.map((note, i) => (
+              <span key={note} className={`scale-note ${i === 0 ? 'tonic' : ''}`}>{note}</span>
+            ))}
+            {keyData.scale.outside.map(({ note, share }) => (
+              <span key={note} className="scale-note outside" title={`${share}% of what was heard`}>{note}</span>
+            ))}
+          </div>
+        ) : (
+          <div className="scale-notes placeholder">Collecting data...</div>
+        )}
+        <p className="histogram-description">
+          Church modes, harmonic/melodic minor, pentatonics and blues fitted to the same notes as the key (tonic first, notes outside the scale in red)
         </p>
       </div>
 
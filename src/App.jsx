@@ -1,34 +1,106 @@
 import { useState, useRef, useEffect } from 'react'
-import { PitchDetector, frequencyToNote, KeyDetector, BeatDetector, AudioPlayer } from './utils/audioUtils'
+import { PitchDetector, NoteTracker, noteWeight, KeyDetector, BeatDetector, MeterDetector, AudioPlayer, ChordDetector, KEY_PROFILES } from './utils/audioUtils'
 import { calibrationSongs, getAudioUrl } from './utils/songLibrary'
+import { runCalibration } from './utils/calibrationHarness'
+import { listTracks, addTrack, updateTrack, deleteTrack } from './utils/trackStore'
+import { MidiRecorder, quantizeNotes, encodeMidiFile } from './utils/midiExport'
+import { AudioRecorder } from './utils/audioRecorder'
+import { AnalysisTimeline } from './utils/analysisTimeline'
+import { KeyRegionTracker } from './utils/keyRegions'
+import { LevelMeter } from './utils/levelMeter'
+import { analyzeFrame, trackBeat, applyDetectorParams } from './utils/analysisFrame'
+import { WorkerPipeline } from './utils/workerPipeline'
+import { PITCH_ALGORITHMS } from './utils/pitchAlgorithms'
+import { listInputDevices, openInputStream, describeInputStream, INPUT_SAMPLE_RATES, INPUT_PROCESSING } from './utils/audioInput'
+import { loadSettings, saveSettings, BUILTIN_PRESETS, loadCustomPresets, saveCustomPresets, createPreset, exportPresetJSON, parsePreset } from './utils/settingsStore'
 import Visualizer from './Visualizer'
 import AnalysisPanel from './AnalysisPanel'
+import CalibrationReport from './CalibrationReport'
+import LevelMeterPanel from './LevelMeterPanel'
+import AdvancedSettings from './AdvancedSettings'
+import TrackImport from './TrackImport'
+import TransportBar from './TransportBar'
+import { PitchTrack } from './utils/pitchTrack'
+import { SESSION_LOG_MAX_ENTRIES, logSessionFrame, exportSessionJSON, exportSessionCSV, parseSession, summarizeSession } from './utils/sessionLog'
+import Tuner from './Tuner'
+import { tuningPresets, tunerFftSize } from './utils/tunings'
+import RecordingTimeline from './RecordingTimeline'
 import './App.css'
 
 function App() {
+  // Settings saved from the last visit (see settingsStore.js), read once
+  const [savedSettings] = useState(loadSettings)
+
   const [isListening, setIsListening] = useState(false)
   const [currentNote, setCurrentNote] = useState(null)
   const [detectedKey, setDetectedKey] = useState({ key: 'Not detected', confidence: 0 })
+  const [keyRegions, setKeyRegions] = useState([]) // Key sections of the session, see KeyRegionTracker
   const [error, setError] = useState(null)
-  const [noteHistory, setNoteHistory] = useState([])
-  const [noteHistogram, setNoteHistogram] = useState({}) // Track note counts
+  const [noteHistory, setNoteHistory] = useState([]) // Last finished notes from the note tracker
+  const [noteHistogram, setNoteHistogram] = useState({}) // Note name -> seconds held or number of notes (see noteWeighting)
   
   // Individual feature toggles - all enabled by default
-  const [noteDetectionEnabled, setNoteDetectionEnabled] = useState(true)
-  const [keyDetectionEnabled, setKeyDetectionEnabled] = useState(true)
-  const [beatDetectionEnabled, setBeatDetectionEnabled] = useState(true)
+  const [noteDetectionEnabled, setNoteDetectionEnabled] = useState(savedSettings.noteDetectionEnabled)
+  const [keyDetectionEnabled, setKeyDetectionEnabled] = useState(savedSettings.keyDetectionEnabled)
+  const [beatDetectionEnabled, setBeatDetectionEnabled] = useState(savedSettings.beatDetectionEnabled)
+  const [chordDetectionEnabled, setChordDetectionEnabled] = useState(savedSettings.chordDetectionEnabled)
+  
+  // Chord detection state
+  const [detectedChord, setDetectedChord] = useState({ chord: 'N.C.', confidence: 0 })
   
   // Beat detection state
   const [beatInfo, setBeatInfo] = useState({ bpm: 0, confidence: 0 })
   const [isBeat, setIsBeat] = useState(false)
 
   // Analysis controls
-  const [squelchThreshold, setSquelchThreshold] = useState(20) // 0-100 scale
-  const [updateRate, setUpdateRate] = useState(60) // Updates per second (10-60)
-  const [fftSize, setFftSize] = useState(2048) // FFT size: 512, 1024, 2048, 4096, 8192
+  const [squelchDb, setSquelchDb] = useState(savedSettings.squelchDb) // RMS level in dBFS below which pitch, key and chord detection pause
+  const [updateRate, setUpdateRate] = useState(savedSettings.updateRate) // Updates per second (10-60)
+  const [fftSize, setFftSize] = useState(savedSettings.fftSize) // FFT size: 512, 1024, 2048, 4096, 8192
+  const [detectorParams, setDetectorParams] = useState(savedSettings.detectorParams) // See DEFAULT_DETECTOR_PARAMS
+  const [showAdvanced, setShowAdvanced] = useState(false)
+
+  // Presets - built-in plus the user's own, kept in localStorage
+  const [customPresets, setCustomPresets] = useState(loadCustomPresets)
+  const [selectedPreset, setSelectedPreset] = useState('')
+  const presetInputRef = useRef(null)
+
+  // Tuner mode state
+  const [tunerMode, setTunerMode] = useState(false)
+  const [tunerFrequency, setTunerFrequency] = useState(null) // Raw pitch in Hz, null when silent
+  const [tunerPreset, setTunerPreset] = useState('guitar-standard') // See tuningPresets
+  const [a4Reference, setA4Reference] = useState(savedSettings.a4Reference) // Reference pitch for note names and chroma
+
+  // MIDI recording state
+  const [isRecordingMidi, setIsRecordingMidi] = useState(false)
+  const [recordedNotes, setRecordedNotes] = useState([])
+  const [midiQuantize, setMidiQuantize] = useState(0) // Grid steps per beat, 0 = off
+
+  // Audio recording state
+  const [isRecordingAudio, setIsRecordingAudio] = useState(false)
+  const [audioRecording, setAudioRecording] = useState(null) // { url, duration, timeline }
+  const [playbackTimeline, setPlaybackTimeline] = useState(null) // Timeline shown while replaying a take
+
+  // Session log import
+  const [importedSession, setImportedSession] = useState(null) // { name, entryCount, duration } of the last imported log
+  const [sessionLogInfo, setSessionLogInfo] = useState({ seconds: 0, hasEntries: false, full: false }) // Session log size for the sidebar
 
-  // VU meter state
-  const [vuLevels, setVuLevels] = useState({ left: 0, right: 0 })
+  // Microphone / audio interface - see audioInput.js
+  const [inputSettings, setInputSettings] = useState(savedSettings.input) // { deviceId, echoCancellation, noiseSuppression, autoGainControl, sampleRate }
+  const [inputDevices, setInputDevices] = useState([]) // [{ deviceId, label }]
+  const [activeInput, setActiveInput] = useState(null) // What the browser gave us (describeInputStream), plus fallback
+
+  // Where detection runs: 'worker' (AudioWorklet + Web Worker) or 'main' (requestAnimationFrame loop)
+  const [analysisEngine, setAnalysisEngine] = useState(savedSettings.analysisEngine)
+
+  // Pitch detection algorithm - see PITCH_ALGORITHMS
+  const [pitchAlgorithm, setPitchAlgorithm] = useState(savedSettings.pitchAlgorithm)
+
+  // Key detection options
+  const [keySource, setKeySource] = useState(savedSettings.keySource) // 'notes' (pitch tracker) or 'chroma' (spectrum)
+  const [noteWeighting, setNoteWeighting] = useState(savedSettings.noteWeighting) // 'duration' or 'event', see NOTE_WEIGHTINGS
+  const [keyProfile, setKeyProfile] = useState(savedSettings.keyProfile) // See KEY_PROFILES
+
+  // Level meter state (readings come straight from levelMeterRef, see LevelMeterPanel)
   const [channelCount, setChannelCount] = useState(1) // Track if mono or stereo
 
   // Calibration mode state
@@ -37,53 +109,294 @@ function App() {
   const [isPlaying, setIsPlaying] = useState(false)
   const [loadingAudio, setLoadingAudio] = useState(false)
 
+  // Local calibration tracks from IndexedDB (see trackStore.js)
+  const [localTracks, setLocalTracks] = useState([])
+  const [editingTrack, setEditingTrack] = useState(null) // Local track whose metadata is being edited
+
+  // Offline calibration batch state
+  const [batchRunning, setBatchRunning] = useState(false)
+  const [batchProgress, setBatchProgress] = useState(null)
+  const [calibrationReport, setCalibrationReport] = useState(null)
+
   const audioContextRef = useRef(null)
   const pitchDetectorRef = useRef(null)
+  const noteTrackerRef = useRef(null)
   const keyDetectorRef = useRef(null)
   const beatDetectorRef = useRef(null)
+  const meterDetectorRef = useRef(null)
+  const chordDetectorRef = useRef(null)
+  const midiRecorderRef = useRef(null)
+  const activeNoteRef = useRef(null) // Note still sounding as of the latest frame, for cutting off MIDI recordings
+  const audioRecorderRef = useRef(null)
+  const timelineRef = useRef(null)
+  const pitchTrackRef = useRef(new PitchTrack()) // Every pitch reading, for the piano roll
+  const sessionLogRef = useRef(new AnalysisTimeline(SESSION_LOG_MAX_ENTRIES)) // Every frame's results since the session started, for export
+  const sessionStartRef = useRef(0) // Audio clock time the session log counts from
+  const keyRegionsRef = useRef(new KeyRegionTracker()) // Consensus key over the session, split at modulations
+  const sessionInputRef = useRef(null)
+  const sourceRef = useRef(null) // Input junction everything listens to; the microphone behind it can be swapped
+  const streamSourceRef = useRef(null) // MediaStreamAudioSourceNode feeding sourceRef
+  const workerPipelineRef = useRef(null)
+  const levelMeterRef = useRef(null)
   const audioPlayerRef = useRef(null)
+  const localTrackUrlRef = useRef(null) // Object URL of the local track being played
   const animationFrameRef = useRef(null)
   const streamRef = useRef(null)
   const lastUpdateTimeRef = useRef(0)
+  const detectPitchRef = useRef(null)
+  const deviceChangeRef = useRef(null)
+  const autoCalibrationRef = useRef(false)
 
+  // Library songs followed by the user's own
+  const allSongs = [...calibrationSongs, ...localTracks]
+  const selectedLocalTrack = localTracks.find(t => t.id === selectedSong) || null
+
+  // Tuner mode widens the analysis window when the preset's lowest string is below the window limit (bass)
+  const analysisFftSize = tunerMode
+    ? tunerFftSize(tuningPresets.find(p => p.id === tunerPreset), audioContextRef.current ? audioContextRef.current.sampleRate : 48000, fftSize, a4Reference)
+    : fftSize
+
+  // Detection settings, shared by the main-thread loop and the analysis worker (see analyzeFrame)
+  const pipelineSettings = {
+    fftSize: analysisFftSize,
+    updateRate,
+    squelchDb,
+    a4: a4Reference,
+    pitchAlgorithm,
+    keySource,
+    keyProfile,
+    noteWeighting,
+    needsPitch: noteDetectionEnabled || tunerMode || isRecordingMidi, // The tuner and MIDI recorder need pitch too
+    noteDetectionEnabled,
+    keyDetectionEnabled,
+    chordDetectionEnabled,
+    beatDetectionEnabled,
+    detectorParams
+  }
+
+  // Everything worth keeping across reloads
+  const currentSettings = {
+    squelchDb,
+    updateRate,
+    fftSize,
+    noteDetectionEnabled,
+    keyDetectionEnabled,
+    beatDetectionEnabled,
+    chordDetectionEnabled,
+    pitchAlgorithm,
+    keySource,
+    keyProfile,
+    noteWeighting,
+    a4Reference,
+    analysisEngine,
+    detectorParams,
+    input: inputSettings
+  }
+
+  // Keep the worker in step with the controls
   useEffect(() => {
+    if (workerPipelineRef.current) {
+      workerPipelineRef.current.configure(pipelineSettings)
+    }
+  }, [analysisFftSize, updateRate, squelchDb, a4Reference, pitchAlgorithm, keySource, keyProfile, noteWeighting, noteDetectionEnabled, keyDetectionEnabled, chordDetectionEnabled, beatDetectionEnabled, detectorParams, tunerMode, isRecordingMidi])
+
+  // Main-thread analysers follow the FFT size slider and the tuner's wider window
+  useEffect(() => {
+    if (pitchDetectorRef.current) {
+      pitchDetectorRef.current.setFftSize(analysisFftSize)
+    }
+    if (beatDetectorRef.current) {
+      beatDetectorRef.current.setFftSize(analysisFftSize)
+    }
+  }, [analysisFftSize])
+
+  // Main-thread detectors pick up parameter changes straight away
+  useEffect(() => {
+    applyDetectorParams({
+      pitchDetector: pitchDetectorRef.current,
+      noteTracker: noteTrackerRef.current,
+      keyDetector: keyDetectorRef.current,
+      beatDetector: beatDetectorRef.current
+    }, detectorParams)
+  }, [detectorParams])
+
+  useEffect(() => {
+    saveSettings(currentSettings)
+  }, [squelchDb, updateRate, fftSize, noteDetectionEnabled, keyDetectionEnabled, beatDetectionEnabled, chordDetectionEnabled, pitchAlgorithm, keySource, keyProfile, noteWeighting, a4Reference, analysisEngine, detectorParams, inputSettings])
+
+  useEffect(() => {
+    // Run the offline calibration batch straight away when opened with ?calibrate
+    // (ref guard keeps StrictMode's double mount from starting it twice)
+    if (!autoCalibrationRef.current && new URLSearchParams(window.location.search).has('calibrate')) {
+      autoCalibrationRef.current = true
+      runCalibrationBatch()
+    }
+
+    listTracks()
+      .then(setLocalTracks)
+      .catch(err => console.warn('Local tracks unavailable:', err))
+
+    // Plugging in or removing an interface refreshes the device list and can swap the live input
+    const handleDeviceChange = () => deviceChangeRef.current()
+    const mediaDevices = navigator.mediaDevices
+    if (mediaDevices && mediaDevices.addEventListener) {
+      mediaDevices.addEventListener('devicechange', handleDeviceChange)
+    }
+    refreshInputDevices()
+
     // Cleanup on unmount
     return () => {
+      if (mediaDevices && mediaDevices.removeEventListener) {
+        mediaDevices.removeEventListener('devicechange', handleDeviceChange)
+      }
       stopListening()
     }
   }, [])
 
-  const startListening = async () => {
+  const refreshInputDevices = async () => {
+    try {
+      const devices = await listInputDevices()
+      setInputDevices(devices)
+      return devices
+    } catch (err) {
+      console.warn('Could not list audio inputs:', err)
+      return []
+    }
+  }
+
+  // Feed a newly opened stream into the input junction in place of the previous one
+  const attachInputStream = (stream, fallback) => {
+    const streamSource = audioContextRef.current.createMediaStreamSource(stream)
+    streamSource.connect(sourceRef.current)
+
+    if (streamSourceRef.current) streamSourceRef.current.disconnect()
+    if (streamRef.current) streamRef.current.getTracks().forEach(track => track.stop())
+    streamSourceRef.current = streamSource
+    streamRef.current = stream
+
+    // A track ends when its device is unplugged; treat that like any other device change
+    stream.getAudioTracks().forEach(track => {
+      track.onended = () => deviceChangeRef.current()
+    })
+
+    const description = describeInputStream(stream)
+    setChannelCount(description.channelCount || streamSource.channelCount)
+    setActiveInput({ ...description, fallback })
+  }
+
+  // Reopen the microphone with new device or processing settings while listening
+  // The audio context, detectors, worker and any recording carry on; only a new sample rate needs a restart
+  const swapInput = async (settings) => {
+    const { stream, fallback } = await openInputStream(settings)
+    try {
+      attachInputStream(stream, fallback)
+    } catch (err) {
+      // Firefox can't connect a stream at a different rate from the context's
+      stream.getTracks().forEach(track => track.stop())
+      console.warn('Input needs a new audio context, restarting:', err)
+      await stopListening()
+      await startListening(settings)
+    }
+    refreshInputDevices() // Labels appear once access is granted
+  }
+
+  const handleInputChange = async (changes) => {
+    const next = { ...inputSettings, ...changes }
+    setInputSettings(next)
+    if (!streamRef.current) return
+
+    try {
+      setError(null)
+      if ('sampleRate' in changes) {
+        await stopListening()
+        await startListening(next)
+      } else {
+        await swapInput(next)
+      }
+    } catch (err) {
+      console.error('Error switching audio input:', err)
+      setError('Could not open the selected input.')
+    }
+  }
+
+  // devicechange / ended track: fall back to the default input if ours is gone,
+  // and go back to the chosen device when it reappears
+  const handleDeviceChange = async () => {
+    const devices = await refreshInputDevices()
+    const stream = streamRef.current
+    if (!stream) return
+
+    const track = stream.getAudioTracks()[0]
+    const wanted = inputSettings.deviceId
+    const lost = !track || track.readyState === 'ended'
+    const returned = wanted && activeInput && activeInput.fallback && devices.some(d => d.deviceId === wanted)
+    if (!lost && !returned) return
+
+    try {
+      await swapInput(inputSettings)
+    } catch (err) {
+      console.error('Error reopening audio input:', err)
+      setError('The audio input was disconnected.')
+    }
+  }
+  deviceChangeRef.current = handleDeviceChange
+
+  const startListening = async (input = inputSettings) => {
     try {
       setError(null)
 
       // Request microphone access
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
-      streamRef.current = stream
+      const { stream, fallback } = await openInputStream(input)
 
-      // Create audio context
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)()
+      // Create audio context at the chosen rate, or the device's own so nothing is resampled
+      const sampleRate = input.sampleRate || describeInputStream(stream).sampleRate
+      let audioContext
+      try {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)(sampleRate ? { sampleRate } : undefined)
+      } catch (err) {
+        stream.getTracks().forEach(track => track.stop())
+        throw err
+      }
       audioContextRef.current = audioContext
 
       // Create pitch detector
-      const pitchDetector = new PitchDetector(audioContext, fftSize)
+      const pitchDetector = new PitchDetector(audioContext, analysisFftSize, pitchAlgorithm)
       pitchDetectorRef.current = pitchDetector
+      pitchTrackRef.current.clear() // Times restart with the new audio context
+      startSessionLog()
+
+      // Create note tracker
+      const noteTracker = new NoteTracker()
+      noteTrackerRef.current = noteTracker
 
       // Create key detector
-      const keyDetector = new KeyDetector()
+      const keyDetector = new KeyDetector({ profile: keyProfile, source: keySource })
       keyDetectorRef.current = keyDetector
 
       // Create beat detector
-      const beatDetector = new BeatDetector(audioContext, fftSize)
+      const beatDetector = new BeatDetector(audioContext, analysisFftSize)
       beatDetectorRef.current = beatDetector
+      meterDetectorRef.current = new MeterDetector()
 
-      // Connect microphone to analyzers
-      const source = audioContext.createMediaStreamSource(stream)
+      // Create chord detector
+      chordDetectorRef.current = new ChordDetector()
+      applyDetectorParams({ pitchDetector, noteTracker, keyDetector, beatDetector }, detectorParams)
+
+      // Connect microphone to analyzers through the input junction
+      const source = audioContext.createGain()
+      sourceRef.current = source
       source.connect(pitchDetector.getAnalyser())
       source.connect(beatDetector.getAnalyser())
+      attachInputStream(stream, fallback)
+      refreshInputDevices() // Labels appear once access is granted
+
+      const levelMeter = new LevelMeter(audioContext)
+      levelMeter.connect(source)
+      levelMeterRef.current = levelMeter
 
-      // Get channel count from the audio source
-      setChannelCount(source.channelCount)
+      if (analysisEngine === 'worker') {
+        await startWorkerPipeline(source)
+      }
 
       setIsListening(true)
 
@@ -95,17 +408,29 @@ function App() {
     }
   }
 
-  const stopListening = () => {
+  const stopListening = async () => {
+    stopMidiRecording()
+    // Flush the take before the context goes away
+    await stopAudioRecording()
+
     // Stop animation frame
     if (animationFrameRef.current) {
       cancelAnimationFrame(animationFrameRef.current)
     }
+    stopWorkerPipeline()
+    levelMeterRef.current = null
 
     // Stop audio stream
     if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop())
+      streamRef.current.getTracks().forEach(track => {
+        track.onended = null
+        track.stop()
+      })
       streamRef.current = null
     }
+    streamSourceRef.current = null
+    sourceRef.current = null
+    setActiveInput(null)
 
     // Close audio context
     if (audioContextRef.current) {
@@ -117,105 +442,260 @@ function App() {
     setCurrentNote(null)
   }
 
+  // Run detection off the main thread; falls back to the requestAnimationFrame loop
+  // when AudioWorklet or module workers are unavailable
+  const startWorkerPipeline = async (sourceNode) => {
+    try {
+      const pipeline = new WorkerPipeline(audioContextRef.current)
+      await pipeline.connect(sourceNode, pipelineSettings)
+      workerPipelineRef.current = pipeline
+    } catch (err) {
+      console.warn('Analysis worker unavailable, detecting on the main thread:', err)
+      setAnalysisEngine('main')
+    }
+  }
+
+  const stopWorkerPipeline = () => {
+    if (workerPipelineRef.current) {
+      workerPipelineRef.current.disconnect()
+      workerPipelineRef.current = null
+    }
+  }
+
   const detectPitch = () => {
     if (!pitchDetectorRef.current || !keyDetectorRef.current) return
 
-    // Throttle update rate
-    const now = performance.now();
-    const minInterval = 1000 / updateRate; // Convert updates/sec to ms between updates
-    
-    if (now - lastUpdateTimeRef.current < minInterval) {
-      animationFrameRef.current = requestAnimationFrame(detectPitch);
-      return;
-    }
-    lastUpdateTimeRef.current = now;
-
-    // Check volume level (squelch) first and update VU meters
-    const analyser = pitchDetectorRef.current.getAnalyser();
-    const dataArray = new Uint8Array(analyser.frequencyBinCount);
-    analyser.getByteFrequencyData(dataArray);
-    const averageVolume = dataArray.reduce((sum, val) => sum + val, 0) / dataArray.length;
-    const volumePercent = (averageVolume / 255) * 100;
-    
-    // Update VU meters
-    // For mono sources (channelCount === 1), both channels get the same value
-    // For stereo sources, we show the combined analysis (Web Audio API mixes to mono in analyser)
-    setVuLevels({
-      left: volumePercent,
-      right: volumePercent
-    });
-    
-    const isAboveSquelch = volumePercent >= squelchThreshold;
-
-    // Note detection (if enabled and above squelch)
-    if (noteDetectionEnabled && isAboveSquelch) {
-      const frequency = pitchDetectorRef.current.detectPitch()
+    let frames
+    if (workerPipelineRef.current) {
+      // Worker engine - pick up everything analyzed since the last animation frame
+      frames = workerPipelineRef.current.drain()
+    } else {
+      // Throttle update rate
+      const now = performance.now();
+      const minInterval = 1000 / updateRate; // Convert updates/sec to ms between updates
       
-      if (frequency > 0) {
-        const noteInfo = frequencyToNote(frequency)
-        if (noteInfo) {
-          setCurrentNote(noteInfo)
-          
-          // Update note histogram
-          setNoteHistogram(prev => {
-            const newHistogram = { ...prev };
-            newHistogram[noteInfo.noteName] = (newHistogram[noteInfo.noteName] || 0) + 1;
-            return newHistogram;
-          });
-          
-          // Add to note history display (keep for backwards compatibility)
-          setNoteHistory(prev => {
-            const newHistory = [...prev, noteInfo.note]
-            return newHistory.slice(-10) // Keep last 10 notes
-          })
-
-          // Add to key detector (if key detection is enabled)
-          if (keyDetectionEnabled) {
-            keyDetectorRef.current.addNote(noteInfo.noteName)
-            
-            // Update detected key
-            const key = keyDetectorRef.current.detectKey()
-            setDetectedKey(key)
-          }
-        }
+      if (now - lastUpdateTimeRef.current < minInterval) {
+        animationFrameRef.current = requestAnimationFrame(() => detectPitchRef.current());
+        return;
       }
+      lastUpdateTimeRef.current = now;
+
+      const time = audioContextRef.current.currentTime
+      const detectors = {
+        pitchDetector: pitchDetectorRef.current,
+        noteTracker: noteTrackerRef.current,
+        keyDetector: keyDetectorRef.current,
+        chordDetector: chordDetectorRef.current
+      }
+      const beatDetectors = { beatDetector: beatDetectorRef.current, meterDetector: meterDetectorRef.current }
+      const beat = beatDetectionEnabled && beatDetectorRef.current ? trackBeat(beatDetectors, time) : null
+      frames = [{ time, ...analyzeFrame(detectors, pipelineSettings, time), beat, beats: beat && beat.isBeat ? [beat.beatTime / 1000] : [] }]
     }
 
-    // Beat detection (if enabled)
-    if (beatDetectionEnabled && beatDetectorRef.current) {
-      const beatResult = beatDetectorRef.current.detectBeat()
-      
-      if (beatResult.isBeat) {
-        setIsBeat(true)
-        // Clear beat indicator after brief moment
-        setTimeout(() => setIsBeat(false), 100)
+    applyFrames(frames)
+
+    animationFrameRef.current = requestAnimationFrame(() => detectPitchRef.current())
+  }
+
+  // Push analysis frames from either engine into state, oldest first
+  const applyFrames = (frames) => {
+    if (frames.length === 0) return
+    const latest = frames[frames.length - 1]
+
+    if (tunerMode) {
+      setTunerFrequency(latest.frequency > 0 ? latest.frequency : null)
+    }
+
+    const notes = []
+    const noteEvents = []
+    let key = detectedKey
+    let chord = detectedChord
+    let beat = beatInfo
+    let beatCount = 0
+    let keyRegionsChanged = false
+
+    frames.forEach(frame => {
+      const { noteInfo } = frame
+
+      if (isRecordingMidi && midiRecorderRef.current) {
+        frame.noteEvents.forEach(note => midiRecorderRef.current.addNote(note))
       }
-      
-      if (beatResult.bpm > 0) {
-        setBeatInfo({
-          bpm: beatResult.bpm,
-          confidence: beatResult.confidence,
-          consensusBPM: beatResult.consensusBPM,
-          consensusConfidence: beatResult.consensusConfidence,
-          histogram: beatResult.histogram
+
+      if (noteDetectionEnabled && noteInfo) {
+        notes.push({ ...noteInfo, clarity: frame.clarity })
+      }
+      if (noteDetectionEnabled) {
+        noteEvents.push(...frame.noteEvents)
+      }
+      if (frame.frequency > 0) {
+        pitchTrackRef.current.add(frame.time, frame.frequency, frame.clarity)
+      }
+      if (keyDetectionEnabled && frame.key) {
+        key = frame.key
+        keyRegionsRef.current.add(frame.time - sessionStartRef.current, frame.key.consensusKey)
+        keyRegionsChanged = true
+      }
+      if (chordDetectionEnabled && frame.chord) {
+        chord = frame.chord
+      }
+      if (frame.beat && frame.beat.bpm > 0) {
+        beat = {
+          bpm: frame.beat.bpm,
+          confidence: frame.beat.confidence,
+          consensusBPM: frame.beat.consensusBPM,
+          consensusConfidence: frame.beat.consensusConfidence,
+          histogram: frame.beat.histogram,
+          meter: frame.beat.meter
+        }
+      }
+      beatCount += frame.beats.length
+
+      logSessionFrame(sessionLogRef.current, frame, sessionStartRef.current)
+
+      // Log this frame against the audio being recorded so replay can scrub through it
+      if (isRecordingAudio && audioRecorderRef.current && timelineRef.current) {
+        timelineRef.current.add(frame.time - audioRecorderRef.current.startTime, {
+          note: noteInfo ? noteInfo.note : null,
+          midi: noteInfo ? noteInfo.midi : null,
+          frequency: noteInfo ? noteInfo.frequency : null,
+          cents: noteInfo ? noteInfo.cents : null,
+          key: keyDetectionEnabled && key.consensusKey ? key.consensusKey : null,
+          chord: chordDetectionEnabled ? (chord.consensusChord || chord.chord) : null,
+          bpm: beat.consensusBPM || beat.bpm || null,
+          isBeat: frame.beats.length > 0
         })
       }
+    })
+
+    activeNoteRef.current = latest.activeNote
+
+    // Note detection - the current note follows every frame, histogram and history only finished notes
+    if (notes.length > 0) {
+      setCurrentNote(notes[notes.length - 1])
+    }
+    if (noteEvents.length > 0) {
+      setNoteHistogram(prev => {
+        const newHistogram = { ...prev };
+        noteEvents.forEach(note => {
+          newHistogram[note.noteName] = (newHistogram[note.noteName] || 0) + noteWeight(note, noteWeighting);
+        });
+        return newHistogram;
+      });
+      
+      setNoteHistory(prev => [...prev, ...noteEvents].slice(-10)) // Keep last 10 notes
+    }
+
+    if (key !== detectedKey) {
+      setDetectedKey(key)
+    }
+    if (keyRegionsChanged) {
+      setKeyRegions(keyRegionsRef.current.getRegions())
+    }
+    if (chord !== detectedChord) {
+      setDetectedChord(chord)
     }
 
-    animationFrameRef.current = requestAnimationFrame(detectPitch)
+    if (beatCount > 0) {
+      setIsBeat(true)
+      // Clear beat indicator after brief moment
+      setTimeout(() => setIsBeat(false), 100)
+    }
+    if (beat !== beatInfo) {
+      setBeatInfo(beat)
+    }
+    syncSessionLogInfo()
   }
 
+  // The loop always calls the latest render's detectPitch so toggles and sliders take effect immediately
+  detectPitchRef.current = detectPitch
+
   const resetDetection = () => {
+    if (noteTrackerRef.current) {
+      noteTrackerRef.current.clear()
+    }
     if (keyDetectorRef.current) {
       keyDetectorRef.current.clear()
     }
     if (beatDetectorRef.current) {
       beatDetectorRef.current.reset()
+      meterDetectorRef.current.reset()
+    }
+    if (workerPipelineRef.current) {
+      workerPipelineRef.current.reset()
     }
     setNoteHistory([])
     setNoteHistogram({})
+    pitchTrackRef.current.clear()
+    startSessionLog()
     setDetectedKey({ key: 'Not detected', confidence: 0 })
+    if (chordDetectorRef.current) {
+      chordDetectorRef.current.clear()
+    }
     setBeatInfo({ bpm: 0, confidence: 0 })
+    setDetectedChord({ chord: 'N.C.', confidence: 0 })
+  }
+
+  // Session log - starts over with each listening/playback session and on reset
+  const startSessionLog = () => {
+    sessionLogRef.current.clear()
+    sessionStartRef.current = audioContextRef.current ? audioContextRef.current.currentTime : 0
+    keyRegionsRef.current.clear()
+    setKeyRegions([])
+    setImportedSession(null)
+    syncSessionLogInfo()
+  }
+
+  // Mirror the log's size into state; only a new whole second (or the log filling up) re-renders
+  const syncSessionLogInfo = () => {
+    const log = sessionLogRef.current
+    const next = { seconds: Math.floor(log.getDuration()), hasEntries: log.getEntries().length > 0, full: log.isFull() }
+    setSessionLogInfo(prev => (
+      prev.seconds === next.seconds && prev.hasEntries === next.hasEntries && prev.full === next.full ? prev : next
+    ))
+  }
+
+  const downloadSession = (format) => {
+    const entries = sessionLogRef.current.getEntries()
+    const song = calibrationMode ? allSongs.find(s => s.id === selectedSong) : null
+    const text = format === 'csv'
+      ? exportSessionCSV(entries)
+      : exportSessionJSON(entries, {
+          source: importedSession ? importedSession.name : calibrationMode ? (song ? song.name : 'audio file') : 'microphone',
+          settings: pipelineSettings
+        })
+    const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `tonescope-session-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  // Load an exported session log and show its histograms and last results
+  const importSession = async (file) => {
+    if (!file) return
+
+    try {
+      const { entries } = parseSession(await file.text())
+      sessionLogRef.current.clear()
+      entries.forEach(({ time, ...data }) => sessionLogRef.current.add(time, data))
+      syncSessionLogInfo()
+
+      const summary = summarizeSession(entries, { noteWeighting })
+      setNoteHistogram(summary.noteHistogram)
+      setDetectedKey(summary.key)
+      setDetectedChord(summary.chord)
+      setBeatInfo(summary.beat)
+      setKeyRegions(summary.keyRegions)
+      setCurrentNote(null)
+      setNoteHistory([])
+      setImportedSession({ name: file.name, entryCount: entries.length, duration: sessionLogRef.current.getDuration() })
+      setError(null)
+    } catch (err) {
+      console.error('Error importing session:', err)
+      setError(`Could not import session: ${err.message}`)
+    }
   }
 
   const toggleNoteDetection = () => {
@@ -238,19 +718,128 @@ function App() {
     setBeatDetectionEnabled(prev => !prev)
     if (beatDetectorRef.current && !beatDetectionEnabled) {
       beatDetectorRef.current.reset()
+      meterDetectorRef.current.reset()
       setBeatInfo({ bpm: 0, confidence: 0 })
       setIsBeat(false)
     }
   }
 
-  const handleFftSizeChange = (newSize) => {
-    setFftSize(newSize)
-    // Update existing analyzers if they exist
+  const toggleChordDetection = () => {
+    setChordDetectionEnabled(prev => !prev)
+    if (chordDetectorRef.current && !chordDetectionEnabled) {
+      chordDetectorRef.current.clear()
+      setDetectedChord({ chord: 'N.C.', confidence: 0 })
+    }
+  }
+
+  // Switchable mid-track so algorithms can be compared on the same calibration song
+  const handlePitchAlgorithmChange = (algorithm) => {
+    setPitchAlgorithm(algorithm)
     if (pitchDetectorRef.current) {
-      pitchDetectorRef.current.setFftSize(newSize)
+      pitchDetectorRef.current.setAlgorithm(algorithm)
     }
-    if (beatDetectorRef.current) {
-      beatDetectorRef.current.setFftSize(newSize)
+  }
+
+  // Changing the key source or profile starts key detection over
+  const handleKeySourceChange = (source) => {
+    setKeySource(source)
+    if (keyDetectorRef.current) {
+      keyDetectorRef.current.setSource(source)
+      keyDetectorRef.current.clear()
+      setDetectedKey({ key: 'Not detected', confidence: 0 })
+    }
+  }
+
+  // The histogram and key votes can't mix seconds with note counts, so both start over
+  const handleNoteWeightingChange = (weighting) => {
+    setNoteWeighting(weighting)
+    setNoteHistogram({})
+    if (keyDetectorRef.current) {
+      keyDetectorRef.current.clear()
+      setDetectedKey({ key: 'Not detected', confidence: 0 })
+    }
+    if (workerPipelineRef.current) {
+      workerPipelineRef.current.reset(['key'])
+    }
+  }
+
+  const handleKeyProfileChange = (profile) => {
+    setKeyProfile(profile)
+    if (keyDetectorRef.current) {
+      keyDetectorRef.current.setProfile(profile)
+      keyDetectorRef.current.clear()
+      setDetectedKey({ key: 'Not detected', confidence: 0 })
+    }
+  }
+
+  const handleFftSizeChange = (newSize) => {
+    setFftSize(newSize) // Existing analysers follow through analysisFftSize
+  }
+
+  // Apply a preset's settings through the same paths as the controls
+  const applyPresetSettings = (settings) => {
+    if (settings.squelchDb !== undefined) setSquelchDb(settings.squelchDb)
+    if (settings.updateRate !== undefined) setUpdateRate(settings.updateRate)
+    if (settings.fftSize !== undefined && settings.fftSize !== fftSize) handleFftSizeChange(settings.fftSize)
+    if (settings.noteDetectionEnabled !== undefined && settings.noteDetectionEnabled !== noteDetectionEnabled) toggleNoteDetection()
+    if (settings.keyDetectionEnabled !== undefined && settings.keyDetectionEnabled !== keyDetectionEnabled) toggleKeyDetection()
+    if (settings.beatDetectionEnabled !== undefined && settings.beatDetectionEnabled !== beatDetectionEnabled) toggleBeatDetection()
+    if (settings.chordDetectionEnabled !== undefined && settings.chordDetectionEnabled !== chordDetectionEnabled) toggleChordDetection()
+    if (settings.pitchAlgorithm && settings.pitchAlgorithm !== pitchAlgorithm) handlePitchAlgorithmChange(settings.pitchAlgorithm)
+    if (settings.keySource && settings.keySource !== keySource) handleKeySourceChange(settings.keySource)
+    if (settings.detectorParams) setDetectorParams(settings.detectorParams)
+  }
+
+  const applyPreset = (presetId) => {
+    setSelectedPreset(presetId)
+    const preset = [...BUILTIN_PRESETS, ...customPresets].find(p => p.id === presetId)
+    if (preset) {
+      applyPresetSettings(preset.settings)
+    }
+  }
+
+  const updateCustomPresets = (presets) => {
+    setCustomPresets(presets)
+    saveCustomPresets(presets)
+  }
+
+  const saveCurrentAsPreset = () => {
+    const name = window.prompt('Preset name')
+    if (!name || !name.trim()) return
+    const preset = createPreset(name.trim(), currentSettings)
+    updateCustomPresets([...customPresets, preset])
+    setSelectedPreset(preset.id)
+  }
+
+  const deleteSelectedPreset = () => {
+    updateCustomPresets(customPresets.filter(p => p.id !== selectedPreset))
+    setSelectedPreset('')
+  }
+
+  // Exports the selected preset, or the current settings when none is selected
+  const downloadPreset = () => {
+    const preset = [...BUILTIN_PRESETS, ...customPresets].find(p => p.id === selectedPreset) || createPreset('My settings', currentSettings)
+    const blob = new Blob([exportPresetJSON(preset)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `tonescope-preset-${preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const importPreset = async (file) => {
+    if (!file) return
+
+    try {
+      const preset = parsePreset(await file.text())
+      updateCustomPresets([...customPresets, preset])
+      setSelectedPreset(preset.id)
+      applyPresetSettings(preset.settings)
+      setError(null)
+    } catch (err) {
+      console.error('Error importing preset:', err)
+      setError(`Could not import preset: ${err.message}`)
     }
   }
 
@@ -261,6 +850,54 @@ function App() {
       return
     }
 
+    const song = allSongs.find(s => s.id === selectedSong)
+    if (song.local) {
+      localTrackUrlRef.current = URL.createObjectURL(song.blob)
+      await startPlaybackMode(localTrackUrlRef.current, {
+        errorMessage: `Could not play ${song.filename}. This browser may not support its format.`
+      })
+    } else {
+      await startPlaybackMode(getAudioUrl(song.filename), {
+        errorMessage: 'Could not load audio file. Make sure the file exists in public/audio/'
+      })
+    }
+  }
+
+  // Save a dropped/picked file, or new metadata for the track being edited
+  // Resolves to whether the track was saved, so the form can keep its input on failure
+  const saveLocalTrack = async (metadata, file) => {
+    try {
+      if (editingTrack) {
+        const track = await updateTrack(editingTrack.id, metadata)
+        setLocalTracks(prev => prev.map(t => (t.id === track.id ? track : t)))
+        setEditingTrack(null)
+      } else {
+        const track = await addTrack(file, metadata)
+        setLocalTracks(prev => [...prev, track])
+        setSelectedSong(track.id)
+      }
+      setError(null)
+      return true
+    } catch (err) {
+      console.error('Could not save track:', err)
+      setError(`Could not save track: ${err.message}`)
+      return false
+    }
+  }
+
+  const removeLocalTrack = async (id) => {
+    try {
+      await deleteTrack(id)
+      setLocalTracks(prev => prev.filter(t => t.id !== id))
+      setSelectedSong('')
+    } catch (err) {
+      console.error('Could not delete track:', err)
+      setError(`Could not delete track: ${err.message}`)
+    }
+  }
+
+  // Analyze an audio file through the AudioPlayer path (calibration songs and recorded takes)
+  const startPlaybackMode = async (url, { timeline = null, errorMessage = 'Could not load audio.' } = {}) => {
     try {
       setError(null)
       setLoadingAudio(true)
@@ -271,26 +908,42 @@ function App() {
       }
 
       // Create detectors
-      const pitchDetector = new PitchDetector(audioContextRef.current, fftSize)
+      const pitchDetector = new PitchDetector(audioContextRef.current, analysisFftSize, pitchAlgorithm)
       pitchDetectorRef.current = pitchDetector
+      pitchTrackRef.current.clear() // Times restart with the new audio context
+      startSessionLog()
+
+      const noteTracker = new NoteTracker()
+      noteTrackerRef.current = noteTracker
 
-      const keyDetector = new KeyDetector()
+      const keyDetector = new KeyDetector({ profile: keyProfile, source: keySource })
       keyDetectorRef.current = keyDetector
 
-      const beatDetector = new BeatDetector(audioContextRef.current, fftSize)
+      const beatDetector = new BeatDetector(audioContextRef.current, analysisFftSize)
       beatDetectorRef.current = beatDetector
+      meterDetectorRef.current = new MeterDetector()
+
+      chordDetectorRef.current = new ChordDetector()
+      applyDetectorParams({ pitchDetector, noteTracker, keyDetector, beatDetector }, detectorParams)
 
       // Create and load audio player
       const audioPlayer = new AudioPlayer(audioContextRef.current)
       audioPlayerRef.current = audioPlayer
 
-      const song = calibrationSongs.find(s => s.id === selectedSong)
-      await audioPlayer.loadAudio(getAudioUrl(song.filename))
+      await audioPlayer.loadAudio(url)
 
       // Connect audio player to all analyzers
       audioPlayer.connectToAnalyser(pitchDetector.getAnalyser())
       pitchDetector.getAnalyser().connect(beatDetector.getAnalyser())
 
+      if (analysisEngine === 'worker') {
+        await startWorkerPipeline(audioPlayer.sourceNode)
+      }
+
+      const levelMeter = new LevelMeter(audioContextRef.current)
+      levelMeter.connect(audioPlayer.sourceNode)
+      levelMeterRef.current = levelMeter
+
       // Set channel count (audio files can be mono or stereo, default to stereo assumption)
       // Most audio files are stereo, but we'll detect from the source node
       const sourceNode = audioPlayer.sourceNode
@@ -301,6 +954,7 @@ function App() {
         setChannelCount(2)
       }
 
+      setPlaybackTimeline(timeline)
       setCalibrationMode(true)
       setIsListening(true)
       setLoadingAudio(false)
@@ -309,12 +963,16 @@ function App() {
       detectPitch()
     } catch (err) {
       console.error('Error loading audio:', err)
-      setError(`Could not load audio file. Make sure the file exists in public/audio/`)
+      setError(errorMessage)
       setLoadingAudio(false)
     }
   }
 
   const stopCalibrationMode = () => {
+    stopMidiRecording()
+    stopWorkerPipeline()
+    levelMeterRef.current = null
+
     if (audioPlayerRef.current) {
       audioPlayerRef.current.cleanup()
       audioPlayerRef.current = null
@@ -329,12 +987,127 @@ function App() {
       audioContextRef.current = null
     }
 
+    if (localTrackUrlRef.current) {
+      URL.revokeObjectURL(localTrackUrlRef.current)
+      localTrackUrlRef.current = null
+    }
+
     setCalibrationMode(false)
+    setPlaybackTimeline(null)
     setIsListening(false)
     setIsPlaying(false)
     setCurrentNote(null)
   }
 
+  // MIDI recording - collects the note tracker's notes on the audio clock
+  const startMidiRecording = () => {
+    if (!audioContextRef.current) return
+
+    if (!midiRecorderRef.current) {
+      midiRecorderRef.current = new MidiRecorder()
+    }
+    midiRecorderRef.current.start(audioContextRef.current.currentTime)
+    setRecordedNotes([])
+    setIsRecordingMidi(true)
+  }
+
+  const stopMidiRecording = () => {
+    const recorder = midiRecorderRef.current
+    if (!recorder || !recorder.isRecording) return
+
+    recorder.stop(audioContextRef.current ? audioContextRef.current.currentTime : recorder.startTime, activeNoteRef.current)
+    setRecordedNotes(recorder.getNotes())
+    setIsRecordingMidi(false)
+  }
+
+  const downloadMidi = () => {
+    const bpm = beatInfo.consensusBPM || beatInfo.bpm || 120
+    const notes = midiQuantize > 0 ? quantizeNotes(recordedNotes, bpm, midiQuantize) : recordedNotes
+    const blob = new Blob([encodeMidiFile(notes, { bpm })], { type: 'audio/midi' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `tonescope-${new Date().toISOString().replace(/[:.]/g, '-')}.mid`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  // Audio recording - captures the raw microphone input alongside a timeline of analysis results
+  const startAudioRecording = async () => {
+    if (!audioContextRef.current || !sourceRef.current) return
+
+    try {
+      const recorder = new AudioRecorder(audioContextRef.current)
+      await recorder.connect(sourceRef.current)
+      audioRecorderRef.current = recorder
+      timelineRef.current = new AnalysisTimeline()
+      recorder.start()
+      setIsRecordingAudio(true)
+    } catch (err) {
+      console.error('Error starting audio recording:', err)
+      setError('Could not start recording. AudioWorklet may not be supported in this browser.')
+    }
+  }
+
+  const stopAudioRecording = async () => {
+    const recorder = audioRecorderRef.current
+    if (!recorder || !recorder.isRecording) return
+
+    setIsRecordingAudio(false)
+    const result = await recorder.stop()
+    recorder.disconnect()
+    audioRecorderRef.current = null
+
+    setAudioRecording(prev => {
+      if (prev) URL.revokeObjectURL(prev.url)
+      return { url: URL.createObjectURL(result.blob), duration: result.duration, timeline: timelineRef.current }
+    })
+  }
+
+  const downloadRecording = () => {
+    if (!audioRecording) return
+
+    const link = document.createElement('a')
+    link.href = audioRecording.url
+    link.download = `tonescope-${new Date().toISOString().replace(/[:.]/g, '-')}.wav`
+    link.click()
+  }
+
+  // Replay the last take through the analyzers with its timeline
+  const replayRecording = async () => {
+    if (!audioRecording) return
+
+    if (isListening) {
+      await stopListening()
+    }
+    resetDetection()
+    await startPlaybackMode(audioRecording.url, {
+      timeline: audioRecording.timeline,
+      errorMessage: 'Could not load the recording.'
+    })
+  }
+
+  // Offline calibration batch - renders every track faster than real time
+  const runCalibrationBatch = async () => {
+    setError(null)
+    setBatchRunning(true)
+    setCalibrationReport(null)
+    setBatchProgress(null)
+
+    try {
+      // Read the store afresh so ?calibrate includes local tracks too
+      const songs = [...calibrationSongs, ...(await listTracks().catch(() => []))]
+      const report = await runCalibration(songs, { fftSize, updateRate, squelchDb, a4: a4Reference, pitchAlgorithm, keySource, keyProfile, noteWeighting, detectorParams }, setBatchProgress)
+      setCalibrationReport(report)
+    } catch (err) {
+      console.error('Calibration batch failed:', err)
+      setError('Calibration batch failed. OfflineAudioContext may not be supported in this browser.')
+    } finally {
+      setBatchRunning(false)
+      setBatchProgress(null)
+    }
+  }
+
   const togglePlayback = () => {
     if (!audioPlayerRef.current) return
 
@@ -372,7 +1145,7 @@ function App() {
           <div className="controls-compact">
             {!isListening ? (
               <>
-                <button className="btn btn-compact btn-primary" onClick={startListening}>
+                <button className="btn btn-compact btn-primary" onClick={() => startListening()}>
                   Listen
                 </button>
               </>
@@ -390,6 +1163,12 @@ function App() {
                 <button className="btn btn-compact btn-secondary" onClick={resetDetection}>
                   Reset
                 </button>
+                <button 
+                  className={`btn btn-compact ${tunerMode ? 'btn-primary' : 'btn-secondary'}`}
+                  onClick={() => setTunerMode(prev => !prev)}
+                >
+                  {tunerMode ? 'Analyzer' : 'Tuner'}
+                </button>
               </>
             ) : (
               <>
@@ -399,10 +1178,195 @@ function App() {
                 <button className="btn btn-compact btn-secondary" onClick={resetDetection}>
                   Reset
                 </button>
+                <button 
+                  className={`btn btn-compact ${tunerMode ? 'btn-primary' : 'btn-secondary'}`}
+                  onClick={() => setTunerMode(prev => !prev)}
+                >
+                  {tunerMode ? 'Analyzer' : 'Tuner'}
+                </button>
               </>
             )}
           </div>
           
+          {/* Audio Input */}
+          <div className="input-compact">
+            <label className="calibration-label">Input</label>
+            <select 
+              className="song-select-compact"
+              value={inputSettings.deviceId}
+              onChange={(e) => handleInputChange({ deviceId: e.target.value })}
+              title="Microphone or audio interface; switches straight away while listening"
+            >
+              <option value="">Default input</option>
+              {inputDevices.map(device => (
+                <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+              ))}
+              {inputSettings.deviceId && !inputDevices.some(d => d.deviceId === inputSettings.deviceId) && (
+                <option value={inputSettings.deviceId}>Saved input (not connected)</option>
+              )}
+            </select>
+            <select 
+              className="song-select-compact"
+              value={inputSettings.sampleRate || ''}
+              onChange={(e) => handleInputChange({ sampleRate: e.target.value ? Number(e.target.value) : null })}
+              title="Capture sample rate. Changing it while listening restarts the input (and stops recordings)"
+            >
+              {INPUT_SAMPLE_RATES.map(rate => (
+                <option key={rate || 'auto'} value={rate || ''}>{rate ? `${rate / 1000} kHz` : 'Device rate'}</option>
+              ))}
+            </select>
+            <div className="input-processing">
+              {INPUT_PROCESSING.map(({ id, name }) => (
+                <label key={id} title="Browser voice processing - distorts pitch and transients, so off by default">
+                  <input 
+                    type="checkbox"
+                    checked={inputSettings[id]}
+                    onChange={(e) => handleInputChange({ [id]: e.target.checked })}
+                  />
+                  {name}
+                </label>
+              ))}
+            </div>
+            {activeInput && (
+              <div className={`input-status ${activeInput.fallback ? 'input-fallback' : ''}`}>
+                {activeInput.fallback && 'Chosen input unavailable - using '}
+                {activeInput.label || 'Microphone'}
+                {activeInput.sampleRate ? ` · ${activeInput.sampleRate / 1000} kHz` : ''}
+                {audioContextRef.current && activeInput.sampleRate && audioContextRef.current.sampleRate !== activeInput.sampleRate
+                  ? ` (analyzed at ${audioContextRef.current.sampleRate / 1000} kHz)`
+                  : ''}
+              </div>
+            )}
+          </div>
+          
+          {/* MIDI Recording */}
+          {(isListening || recordedNotes.length > 0) && (
+            <div className="midi-compact">
+              <label className="calibration-label">MIDI</label>
+              {isListening && (
+                <button 
+                  className={`btn btn-compact ${isRecordingMidi ? 'btn-danger' : 'btn-secondary'}`}
+                  onClick={isRecordingMidi ? stopMidiRecording : startMidiRecording}
+                  style={{fontSize: '0.7rem', padding: '0.4rem'}}
+                >
+                  {isRecordingMidi ? '■ Stop Rec' : '● Record'}
+                </button>
+              )}
+              {!isRecordingMidi && recordedNotes.length > 0 && (
+                <>
+                  <span className="slider-value-vertical">{recordedNotes.length} notes</span>
+                  <select 
+                    className="song-select-compact"
+                    value={midiQuantize}
+                    onChange={(e) => setMidiQuantize(Number(e.target.value))}
+                    title="Quantize against the detected BPM"
+                  >
+                    <option value={0}>No quantize</option>
+                    <option value={1}>1/4 notes</option>
+                    <option value={2}>1/8 notes</option>
+                    <option value={4}>1/16 notes</option>
+                  </select>
+                  <button 
+                    className="btn btn-compact btn-primary"
+                    onClick={downloadMidi}
+                    style={{fontSize: '0.7rem', padding: '0.4rem'}}
+                  >
+                    Export .mid
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+          
+          {/* Audio Recording */}
+          {((isListening && !calibrationMode) || audioRecording) && (
+            <div className="audio-compact">
+              <label className="calibration-label">Audio</label>
+              {isListening && !calibrationMode && (
+                <button 
+                  className={`btn btn-compact ${isRecordingAudio ? 'btn-danger' : 'btn-secondary'}`}
+                  onClick={isRecordingAudio ? stopAudioRecording : startAudioRecording}
+                  style={{fontSize: '0.7rem', padding: '0.4rem'}}
+                >
+                  {isRecordingAudio ? '■ Stop Rec' : '● Record'}
+                </button>
+              )}
+              {!isRecordingAudio && audioRecording && (
+                <>
+                  <span className="slider-value-vertical">{audioRecording.duration.toFixed(1)}s take</span>
+                  {!calibrationMode && (
+                    <button 
+                      className="btn btn-compact btn-secondary"
+                      onClick={replayRecording}
+                      disabled={loadingAudio}
+                      title="Play the take back through the analyzers"
+                      style={{fontSize: '0.7rem', padding: '0.4rem'}}
+                    >
+                      Replay
+                    </button>
+                  )}
+                  <button 
+                    className="btn btn-compact btn-primary"
+                    onClick={downloadRecording}
+                    style={{fontSize: '0.7rem', padding: '0.4rem'}}
+                  >
+                    Export .wav
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+          
+          {/* Session Log */}
+          <div className="session-compact">
+            <label className="calibration-label">Session</label>
+            <span className="slider-value-vertical">
+              {importedSession
+                ? `${importedSession.name} · ${importedSession.entryCount} frames`
+                : `${sessionLogInfo.seconds}s logged${sessionLogInfo.full ? ' (full)' : ''}`}
+            </span>
+            <div className="session-buttons">
+              <button 
+                className="btn btn-compact btn-secondary"
+                onClick={() => downloadSession('json')}
+                disabled={!sessionLogInfo.hasEntries}
+                title="Every instantaneous and consensus result, with the detection settings"
+                style={{fontSize: '0.7rem', padding: '0.4rem'}}
+              >
+                Export .json
+              </button>
+              <button 
+                className="btn btn-compact btn-secondary"
+                onClick={() => downloadSession('csv')}
+                disabled={!sessionLogInfo.hasEntries}
+                title="One row per analysis frame"
+                style={{fontSize: '0.7rem', padding: '0.4rem'}}
+              >
+                Export .csv
+              </button>
+            </div>
+            {!isListening && (
+              <button 
+                className="btn btn-compact btn-secondary"
+                onClick={() => sessionInputRef.current.click()}
+                title="Load an exported session and show its histograms"
+                style={{fontSize: '0.7rem', padding: '0.4rem'}}
+              >
+                Import session
+              </button>
+            )}
+            <input
+              ref={sessionInputRef}
+              type="file"
+              accept=".json,.csv"
+              onChange={(e) => {
+                importSession(e.target.files[0])
+                e.target.value = ''
+              }}
+              hidden
+            />
+          </div>
+          
           {/* Calibration Mode Selector */}
           {!isListening && (
             <div className="calibration-compact">
@@ -410,14 +1374,28 @@ function App() {
               <select 
                 className="song-select-compact"
                 value={selectedSong}
-                onChange={(e) => setSelectedSong(e.target.value)}
+                onChange={(e) => {
+                  setSelectedSong(e.target.value)
+                  setEditingTrack(null)
+                }}
               >
                 <option value="">Select song...</option>
-                {calibrationSongs.map(song => (
-                  <option key={song.id} value={song.id}>
-                    {song.name}
-                  </option>
-                ))}
+                <optgroup label="Library">
+                  {calibrationSongs.map(song => (
+                    <option key={song.id} value={song.id}>
+                      {song.name}
+                    </option>
+                  ))}
+                </optgroup>
+                {localTracks.length > 0 && (
+                  <optgroup label="My tracks">
+                    {localTracks.map(song => (
+                      <option key={song.id} value={song.id}>
+                        {song.name}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
               </select>
               <button 
                 className="btn btn-compact btn-secondary"
@@ -427,63 +1405,209 @@ function App() {
               >
                 {loadingAudio ? 'Loading...' : 'Select'}
               </button>
+              <button 
+                className="btn btn-compact btn-secondary"
+                onClick={runCalibrationBatch}
+                disabled={batchRunning}
+                title="Analyze every calibration track offline and compare against expected key/BPM"
+                style={{fontSize: '0.7rem', padding: '0.4rem'}}
+              >
+                {batchRunning ? 'Running...' : 'Batch Test'}
+              </button>
+              {selectedLocalTrack && !editingTrack && (
+                <div className="track-form-row">
+                  <button
+                    className="btn btn-compact btn-secondary"
+                    onClick={() => setEditingTrack(selectedLocalTrack)}
+                    style={{fontSize: '0.7rem', padding: '0.4rem'}}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    className="btn btn-compact btn-danger"
+                    onClick={() => removeLocalTrack(selectedLocalTrack.id)}
+                    title="Remove this track from the browser's storage"
+                    style={{fontSize: '0.7rem', padding: '0.4rem'}}
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+              <TrackImport
+                key={editingTrack ? editingTrack.id : 'new'}
+                track={editingTrack}
+                disabled={loadingAudio}
+                onSave={saveLocalTrack}
+                onCancel={() => setEditingTrack(null)}
+                onError={setError}
+              />
             </div>
           )}
           
+          {/* Presets */}
+          <div className="preset-compact">
+            <label className="calibration-label">Preset</label>
+            <select 
+              className="song-select-compact"
+              value={selectedPreset}
+              onChange={(e) => applyPreset(e.target.value)}
+              title="Sliders, detection toggles, pitch/key options and detector parameters in one go"
+            >
+              <option value="">Choose preset...</option>
+              <optgroup label="Built-in">
+                {BUILTIN_PRESETS.map(preset => (
+                  <option key={preset.id} value={preset.id}>{preset.name}</option>
+                ))}
+              </optgroup>
+              {customPresets.length > 0 && (
+                <optgroup label="My presets">
+                  {customPresets.map(preset => (
+                    <option key={preset.id} value={preset.id}>{preset.name}</option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+            <div className="preset-buttons">
+              <button 
+                className="btn btn-compact btn-secondary"
+                onClick={saveCurrentAsPreset}
+                title="Save the current settings as a new preset"
+                style={{fontSize: '0.7rem', padding: '0.4rem'}}
+              >
+                Save
+              </button>
+              {customPresets.some(p => p.id === selectedPreset) && (
+                <button 
+                  className="btn btn-compact btn-secondary"
+                  onClick={deleteSelectedPreset}
+                  style={{fontSize: '0.7rem', padding: '0.4rem'}}
+                >
+                  Delete
+                </button>
+              )}
+              <button 
+                className="btn btn-compact btn-secondary"
+                onClick={downloadPreset}
+                title="Download the selected preset (or the current settings) as JSON"
+                style={{fontSize: '0.7rem', padding: '0.4rem'}}
+              >
+                Export
+              </button>
+              <button 
+                className="btn btn-compact btn-secondary"
+                onClick={() => presetInputRef.current.click()}
+                title="Add a preset from a JSON file"
+                style={{fontSize: '0.7rem', padding: '0.4rem'}}
+              >
+                Import
+              </button>
+            </div>
+            <input
+              ref={presetInputRef}
+              type="file"
+              accept=".json"
+              onChange={(e) => {
+                importPreset(e.target.files[0])
+                e.target.value = ''
+              }}
+              hidden
+            />
+          </div>
+          
+          {/* Pitch Algorithm */}
+          <div className="pitch-options-compact">
+            <label className="calibration-label">Pitch</label>
+            <select 
+              className="song-select-compact"
+              value={pitchAlgorithm}
+              onChange={(e) => handlePitchAlgorithmChange(e.target.value)}
+              title="Pitch estimation algorithm; the Note panel shows its clarity"
+            >
+              {Object.entries(PITCH_ALGORITHMS).map(([id, algorithm]) => (
+                <option key={id} value={id}>{algorithm.name}</option>
+              ))}
+            </select>
+          </div>
+          
+          {/* Key Detection Options */}
+          <div className="key-options-compact">
+            <label className="calibration-label">Key from</label>
+            <select 
+              className="song-select-compact"
+              value={keySource}
+              onChange={(e) => handleKeySourceChange(e.target.value)}
+              title="Notes: votes from the pitch tracker. Chroma: pitch-class energy from the whole spectrum"
+            >
+              <option value="notes">Notes</option>
+              <option value="chroma">Chroma</option>
+            </select>
+            <select 
+              className="song-select-compact"
+              value={keyProfile}
+              onChange={(e) => handleKeyProfileChange(e.target.value)}
+              title="Key profile used for correlation"
+            >
+              {Object.entries(KEY_PROFILES).map(([id, profile]) => (
+                <option key={id} value={id}>{profile.name}</option>
+              ))}
+            </select>
+            <label className="calibration-label">Count notes</label>
+            <select 
+              className="song-select-compact"
+              value={noteWeighting}
+              onChange={(e) => handleNoteWeightingChange(e.target.value)}
+              title="How each finished note counts in the note histogram and in key detection from notes"
+            >
+              <option value="duration">By duration</option>
+              <option value="event">Once per note</option>
+            </select>
+          </div>
+          
+          {/* Analysis Engine */}
+          <div className="engine-compact">
+            <label className="calibration-label">Engine</label>
+            <select 
+              className="song-select-compact"
+              value={analysisEngine}
+              onChange={(e) => setAnalysisEngine(e.target.value)}
+              disabled={isListening}
+              title="Worker: AudioWorklet + Web Worker, keeps up in background tabs with sample-accurate beat times. Main thread: requestAnimationFrame loop"
+            >
+              <option value="worker">Worker</option>
+              <option value="main">Main thread</option>
+            </select>
+            <button 
+              className={`btn btn-compact ${showAdvanced ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setShowAdvanced(!showAdvanced)}
+              title="Detector tuning: RMS gate, onset threshold, beat spacing, key windows..."
+              style={{fontSize: '0.7rem', padding: '0.4rem'}}
+            >
+              Advanced
+            </button>
+          </div>
+          
           {isListening && (
             <div className="slider-controls-vertical">
-              {/* VU Meters */}
-              <div className="vu-meters-container">
-                <label className="vertical-label">VU</label>
-                <div className="vu-meters">
-                  {/* Left/Mono channel */}
-                  <div className="vu-meter">
-                    <div className="vu-meter-track">
-                      <div className="vu-meter-red-zone"></div>
-                      <div 
-                        className="vu-meter-fill" 
-                        style={{height: `${Math.min(100, vuLevels.left)}%`}}
-                      ></div>
-                      <div 
-                        className="vu-meter-squelch-line" 
-                        style={{bottom: `${squelchThreshold * 2}%`}}
-                      ></div>
-                    </div>
-                    <span className="vu-label">{channelCount === 1 ? 'M' : 'L'}</span>
-                  </div>
-                  
-                  {/* Right channel - only show if stereo */}
-                  {channelCount > 1 && (
-                    <div className="vu-meter">
-                      <div className="vu-meter-track">
-                        <div className="vu-meter-red-zone"></div>
-                        <div 
-                          className="vu-meter-fill" 
-                          style={{height: `${Math.min(100, vuLevels.right)}%`}}
-                        ></div>
-                        <div 
-                          className="vu-meter-squelch-line" 
-                          style={{bottom: `${squelchThreshold * 2}%`}}
-                        ></div>
-                      </div>
-                      <span className="vu-label">R</span>
-                    </div>
-                  )}
-                </div>
-              </div>
+              {/* Level meters - per channel peak/RMS, loudness and phase */}
+              <LevelMeterPanel 
+                meter={levelMeterRef.current}
+                channelCount={channelCount}
+                squelchDb={squelchDb}
+                isActive={isListening}
+              />
               
               <div className="slider-control-vertical">
                 <label className="vertical-label">Squelch</label>
                 <input 
                   type="range"
-                  min="0"
-                  max="50"
-                  value={squelchThreshold}
-                  onChange={(e) => setSquelchThreshold(Number(e.target.value))}
+                  min="-70"
+                  max="-10"
+                  value={squelchDb}
+                  onChange={(e) => setSquelchDb(Number(e.target.value))}
                   className="slider-vertical"
                   orient="vertical"
                 />
-                <span className="slider-value-vertical">{squelchThreshold}%</span>
+                <span className="slider-value-vertical">{squelchDb} dB</span>
               </div>
               
               <div className="slider-control-vertical">
@@ -521,85 +1645,176 @@ function App() {
         {/* Main Content Area */}
         <div className="content-area">
 
-        {/* Always show detection displays */}
-        <div className="display-container-compact">
-          <div className="feature-panel-compact">
-            <div className="feature-header-compact">
-              <span>Note</span>
-              <button 
-                className={`btn-feature-toggle-compact ${noteDetectionEnabled ? 'active' : ''}`}
-                onClick={toggleNoteDetection}
-                title={noteDetectionEnabled ? "Note detection ON" : "Note detection OFF"}
-                disabled={!isListening}
-              >
-                {noteDetectionEnabled ? '✓' : '✗'}
-              </button>
-            </div>
-            <div className={`note-display-compact ${!noteDetectionEnabled ? 'disabled' : ''}`}>
-              {noteDetectionEnabled && currentNote ? (
-                <>
-                  <div className="note-compact">{currentNote.note}</div>
-                  <div className="freq-compact">{currentNote.frequency}Hz</div>
-                </>
-              ) : (
-                <div className="placeholder-compact">--</div>
-              )}
-            </div>
-          </div>
+        {(batchRunning || calibrationReport) && (
+          <CalibrationReport 
+            report={calibrationReport}
+            progress={batchProgress}
+            onClose={() => setCalibrationReport(null)}
+          />
+        )}
 
-          <div className="feature-panel-compact">
-            <div className="feature-header-compact">
-              <span>Key</span>
-              <button 
-                className={`btn-feature-toggle-compact ${keyDetectionEnabled ? 'active' : ''}`}
-                onClick={toggleKeyDetection}
-                title={keyDetectionEnabled ? "Key detection ON" : "Key detection OFF"}
-                disabled={!isListening}
-              >
-                {keyDetectionEnabled ? '✓' : '✗'}
-              </button>
+        {showAdvanced && (
+          <AdvancedSettings 
+            params={detectorParams}
+            onChange={setDetectorParams}
+            onClose={() => setShowAdvanced(false)}
+          />
+        )}
+
+        {calibrationMode && audioPlayerRef.current && (
+          <TransportBar
+            player={audioPlayerRef.current}
+            isPlaying={isPlaying}
+            onTogglePlay={togglePlayback}
+          />
+        )}
+
+        {calibrationMode && playbackTimeline && (
+          <RecordingTimeline 
+            timeline={playbackTimeline}
+            duration={audioRecording ? audioRecording.duration : 0}
+            getCurrentTime={() => audioPlayerRef.current ? audioPlayerRef.current.getCurrentTime() : 0}
+            onSeek={(time) => audioPlayerRef.current && audioPlayerRef.current.seek(time)}
+          />
+        )}
+
+        {/* Tuner replaces the detection displays in tuner mode */}
+        {tunerMode ? (
+          <Tuner 
+            frequency={tunerFrequency}
+            a4={a4Reference}
+            onA4Change={setA4Reference}
+            presetId={tunerPreset}
+            onPresetChange={setTunerPreset}
+            fftSize={analysisFftSize}
+            baseFftSize={fftSize}
+          />
+        ) : (
+          <div className="display-container-compact">
+            <div className="feature-panel-compact">
+              <div className="feature-header-compact">
+                <span>Note</span>
+                <button 
+                  className={`btn-feature-toggle-compact ${noteDetectionEnabled ? 'active' : ''}`}
+                  onClick={toggleNoteDetection}
+                  title={noteDetectionEnabled ? "Note detection ON" : "Note detection OFF"}
+                  disabled={!isListening}
+                >
+                  {noteDetectionEnabled ? '✓' : '✗'}
+                </button>
+              </div>
+              <div className={`note-display-compact ${!noteDetectionEnabled ? 'disabled' : ''}`}>
+                {noteDetectionEnabled && currentNote ? (
+                  <>
+                    <div className="note-compact">{currentNote.note}</div>
+                    <div className="freq-compact">{currentNote.frequency}Hz · {currentNote.cents > 0 ? '+' : ''}{currentNote.cents}¢</div>
+                    <div className="conf-compact" title="Pitch clarity">{Math.round(currentNote.clarity * 100)}%</div>
+                  </>
+                ) : (
+                  <div className="placeholder-compact">--</div>
+                )}
+              </div>
             </div>
-            <div className={`key-display-compact ${!keyDetectionEnabled ? 'disabled' : ''}`}>
-              {keyDetectionEnabled ? (
-                <>
-                  <div className="key-compact">{detectedKey.consensusKey || detectedKey.key}</div>
-                  {detectedKey.consensusConfidence > 0 && (
-                    <div className="conf-compact">{detectedKey.consensusConfidence}%</div>
-                  )}
-                </>
-              ) : (
-                <div className="placeholder-compact">--</div>
-              )}
+
+            <div className="feature-panel-compact">
+              <div className="feature-header-compact">
+                <span>Key</span>
+                <button 
+                  className={`btn-feature-toggle-compact ${keyDetectionEnabled ? 'active' : ''}`}
+                  onClick={toggleKeyDetection}
+                  title={keyDetectionEnabled ? "Key detection ON" : "Key detection OFF"}
+                  disabled={!isListening}
+                >
+                  {keyDetectionEnabled ? '✓' : '✗'}
+                </button>
+              </div>
+              <div className={`key-display-compact ${!keyDetectionEnabled ? 'disabled' : ''}`}>
+                {keyDetectionEnabled ? (
+                  <>
+                    <div className="key-compact">{detectedKey.consensusKey || detectedKey.key}</div>
+                    {detectedKey.consensusConfidence > 0 && (
+                      <div className="conf-compact">{detectedKey.consensusConfidence}%</div>
+                    )}
+                    {detectedKey.scale && (
+                      <div className="scale-compact" title={`Best-fitting scale: ${detectedKey.scale.notes.join(' ')}`}>{detectedKey.scale.name}</div>
+                    )}
+                  </>
+                ) : (
+                  <div className="placeholder-compact">--</div>
+                )}
+              </div>
             </div>
-          </div>
 
-          <div className="feature-panel-compact">
-            <div className="feature-header-compact">
-              <span>BPM</span>
-              <button 
-                className={`btn-feature-toggle-compact ${beatDetectionEnabled ? 'active' : ''}`}
-                onClick={toggleBeatDetection}
-                title={beatDetectionEnabled ? "Beat detection ON" : "Beat detection OFF"}
-                disabled={!isListening}
-              >
-                {beatDetectionEnabled ? '✓' : '✗'}
-              </button>
+            <div className="feature-panel-compact">
+              <div className="feature-header-compact">
+                <span>Chord</span>
+                <button 
+                  className={`btn-feature-toggle-compact ${chordDetectionEnabled ? 'active' : ''}`}
+                  onClick={toggleChordDetection}
+                  title={chordDetectionEnabled ? "Chord detection ON" : "Chord detection OFF"}
+                  disabled={!isListening}
+                >
+                  {chordDetectionEnabled ? '✓' : '✗'}
+                </button>
+              </div>
+              <div className={`chord-display-compact ${!chordDetectionEnabled ? 'disabled' : ''}`}>
+                {chordDetectionEnabled ? (
+                  <>
+                    <div className="chord-compact">{detectedChord.consensusChord || detectedChord.chord}</div>
+                    {detectedChord.consensusConfidence > 0 && (
+                      <div className="conf-compact">
+                        {detectedChord.consensusChord === detectedChord.chord && detectedChord.notes.length > 0 && `${detectedChord.notes.join(' ')} · `}
+                        {detectedChord.consensusConfidence}%
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <div className="placeholder-compact">--</div>
+                )}
+              </div>
             </div>
-            <div className={`beat-display-compact ${isBeat && beatDetectionEnabled ? 'pulse' : ''} ${!beatDetectionEnabled ? 'disabled' : ''}`}>
-              {beatDetectionEnabled ? (
-                <>
-                  <div className={`beat-indicator-compact ${isBeat ? 'active' : ''}`}></div>
-                  <div className="bpm-compact">{beatInfo.consensusBPM || beatInfo.bpm || '--'}</div>
-                  {beatInfo.consensusConfidence > 0 && (
-                    <div className="conf-compact">{beatInfo.consensusConfidence}%</div>
-                  )}
-                </>
-              ) : (
-                <div className="placeholder-compact">--</div>
-              )}
+
+            <div className="feature-panel-compact">
+              <div className="feature-header-compact">
+                <span>BPM</span>
+                <button 
+                  className={`btn-feature-toggle-compact ${beatDetectionEnabled ? 'active' : ''}`}
+                  onClick={toggleBeatDetection}
+                  title={beatDetectionEnabled ? "Beat detection ON" : "Beat detection OFF"}
+                  disabled={!isListening}
+                >
+                  {beatDetectionEnabled ? '✓' : '✗'}
+                </button>
+              </div>
+              <div className={`beat-display-compact ${isBeat && beatDetectionEnabled ? 'pulse' : ''} ${!beatDetectionEnabled ? 'disabled' : ''}`}>
+                {beatDetectionEnabled ? (
+                  <>
+                    <div className={`beat-indicator-compact ${isBeat ? 'active' : ''}`}></div>
+                    <div className="bpm-compact">{beatInfo.consensusBPM || beatInfo.bpm || '--'}</div>
+                    {beatInfo.consensusConfidence > 0 && (
+                      <div className="conf-compact">{beatInfo.consensusConfidence}%</div>
+                    )}
+                    {beatInfo.meter && beatInfo.meter.beatsPerBar > 0 && (
+                      <div className="meter-compact" title={`Time signature from beat accents (${beatInfo.meter.confidence}%)`}>
+                        <span className="meter-signature">{beatInfo.meter.timeSignature}</span>
+                        {Array.from({ length: beatInfo.meter.beatsPerBar }, (_, i) => (
+                          <span
+                            key={i}
+                            className={`bar-beat ${i === 0 ? 'downbeat' : ''} ${i + 1 === beatInfo.meter.beatInBar ? 'active' : ''}`}
+                          >
+                            {i + 1}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <div className="placeholder-compact">--</div>
+                )}
+              </div>
             </div>
           </div>
-        </div>
+        )}
 
         {/* Always show visualizer */}
         {pitchDetectorRef.current ? (
@@ -607,6 +1822,12 @@ function App() {
             analyser={pitchDetectorRef.current.getAnalyser()} 
             currentNote={currentNote?.note}
             isActive={isListening}
+            a4={a4Reference}
+            pitchTrack={pitchTrackRef.current}
+            getTime={() => audioContextRef.current ? audioContextRef.current.currentTime : 0}
+            noteHistogram={noteHistogram}
+            noteWeighting={noteWeighting}
+            keyName={keyDetectionEnabled ? detectedKey.consensusKey : null}
           />
         ) : (
           <div className="placeholder-message">Start listening to see visualizations</div>
@@ -615,13 +1836,32 @@ function App() {
         {/* Always show analysis panels */}
         <AnalysisPanel 
           keyData={detectedKey}
+          keyRegions={keyRegions}
           beatData={beatInfo}
           noteHistogram={noteHistogram}
+          noteWeighting={noteWeighting}
           audioContext={audioContextRef.current}
           fftSize={fftSize}
         />
 
-        {/* Recent notes history hidden - using histogram instead */}
+        {/* Recent notes - finished notes from the note tracker */}
+        {noteDetectionEnabled && noteHistory.length > 0 && (
+          <div className="note-history">
+            <h3>Recent notes</h3>
+            <div className="history-list">
+              {noteHistory.map((note, i) => (
+                <span
+                  key={`${note.start}-${i}`}
+                  className="history-note"
+                  title={`${note.frequency.toFixed(1)} Hz, ${note.cents > 0 ? '+' : ''}${note.cents}¢ on average`}
+                >
+                  {note.note}
+                  <span className="history-detail">{note.duration.toFixed(2)}s ±{Math.round(note.centsDeviation)}¢</span>
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
         
         </div> {/* End content-area */}
       </main>
@@ -0,0 +1,111 @@
+import './CalibrationReport.css';
+
+const formatSeconds = (value) => (value === null || value === undefined ? '--' : `${value.toFixed(1)}s`);
+
+const formatSigned = (value, digits = 0) => {
+  if (value === null || value === undefined) return '--';
+  const fixed = value.toFixed(digits);
+  return value > 0 ? `+${fixed}` : fixed;
+};
+
+export default function CalibrationReport({ report, progress, onClose }) {
+  const downloadReport = () => {
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tonescope-calibration-${report.generatedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!report) {
+    return (
+      <div className="calibration-report">
+        <div className="section-header">
+          <h3>Calibration Batch</h3>
+        </div>
+        <p className="report-progress">
+          {progress
+            ? `Analyzing ${progress.song.name} (${progress.index + 1}/${progress.total})...`
+            : 'Preparing...'}
+        </p>
+      </div>
+    );
+  }
+
+  const { summary, tracks } = report;
+
+  return (
+    <div className="calibration-report">
+      <div className="section-header">
+        <h3>Calibration Batch</h3>
+        <div className="report-actions">
+          <button className="btn btn-compact btn-secondary" onClick={downloadReport}>
+            Download JSON
+          </button>
+          <button className="btn btn-compact btn-danger" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="report-summary">
+        <span>Key accuracy: <strong>{summary.keyAccuracy ?? '--'}%</strong></span>
+        <span>BPM accuracy: <strong>{summary.bpmAccuracy ?? '--'}%</strong></span>
+        <span>Mean BPM error: <strong>{summary.meanAbsBpmError !== null ? summary.meanAbsBpmError.toFixed(1) : '--'}</strong></span>
+        <span>Meter accuracy: <strong>{summary.meterAccuracy ?? '--'}%</strong></span>
+        {summary.failed > 0 && (
+          <span className="report-failed">{summary.failed} track(s) failed to load</span>
+        )}
+      </div>
+
+      <table className="report-table">
+        <thead>
+          <tr>
+            <th>Track</th>
+            <th>Expected key</th>
+            <th>Detected key</th>
+            <th>Key lock</th>
+            <th>Expected BPM</th>
+            <th>Detected BPM</th>
+            <th>Error</th>
+            <th>BPM lock</th>
+            <th>Meter</th>
+            <th>Speed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {tracks.map(track => track.error ? (
+            <tr key={track.id} className="report-row-error">
+              <td>{track.name}</td>
+              <td colSpan={9}>{track.error}</td>
+            </tr>
+          ) : (
+            <tr key={track.id}>
+              <td>{track.name}</td>
+              <td>{track.expectedKey || 'n/a'}</td>
+              <td className={track.keyMatch === null ? '' : track.keyMatch ? 'report-pass' : 'report-fail'}>
+                {track.detectedKey || '--'} {track.keyConfidence > 0 && `(${track.keyConfidence}%)`}
+              </td>
+              <td>{track.expectedKey ? formatSeconds(track.keyLockTime) : 'n/a'}</td>
+              <td>{track.expectedBPM || 'n/a'}</td>
+              <td className={track.bpmMatch === null ? '' : track.bpmMatch ? 'report-pass' : 'report-fail'}>
+                {track.detectedBPM || '--'}
+              </td>
+              <td>
+                {formatSigned(track.bpmError)}
+                {track.bpmErrorPercent !== null && ` (${formatSigned(track.bpmErrorPercent, 1)}%)`}
+              </td>
+              <td>{track.expectedBPM ? formatSeconds(track.bpmLockTime) : 'n/a'}</td>
+              <td className={track.timeSignatureMatch === null ? '' : track.timeSignatureMatch ? 'report-pass' : 'report-fail'}>
+                {track.detectedTimeSignature || '--'} / {track.expectedTimeSignature || 'n/a'}
+              </td>
+              <td>{track.speedFactor.toFixed(1)}×</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { useEffect, useRef } from 'react';
+import { analyzeHarmonics, frequencyToNote } from './utils/audioUtils';
+import './HarmonicsPanel.css';
+
+const MAX_HARMONIC = 16;
+const MIN_DB = -60; // Bottom of the bar chart, relative to the fundamental
+const MAX_DB = 12; // Overtones can be louder than the fundamental
+const SMOOTHING = 0.3; // Share of each new reading in the displayed values
+const STALE_AFTER = 0.25; // Seconds without a pitch before the chart dims
+
+const barColor = (number) => (number === 1 ? '#fa709a' : number % 2 === 0 ? '#4ade80' : '#667eea');
+
+// Harmonic bar chart for the current pitch: level of harmonics 1-16 relative to the fundamental,
+// with spectral centroid, odd/even ratio and inharmonicity
+export default function HarmonicsPanel({ analyser, track, getTime, isActive, a4 = 440 }) {
+  const canvasRef = useRef(null);
+  const animationRef = useRef(null);
+
+  const settingsRef = useRef(null);
+  settingsRef.current = { getTime, a4 };
+
+  useEffect(() => {
+    if (!analyser || !track || !isActive) return;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+
+    // Smoothed display values; null until the first reading
+    let levels = null;
+    let stats = null;
+
+    const smooth = (previous, next) => (previous === null || next === null ? next : previous + (next - previous) * SMOOTHING);
+
+    const draw = () => {
+      if (canvas.width !== canvas.offsetWidth || canvas.height !== canvas.offsetHeight) {
+        canvas.width = canvas.offsetWidth;
+        canvas.height = canvas.offsetHeight;
+      }
+      const { width, height } = canvas;
+      const { getTime: now, a4: reference } = settingsRef.current;
+
+      const latest = track.getLatest();
+      const fresh = latest && now() - latest.time < STALE_AFTER;
+      const result = fresh ? analyzeHarmonics(analyser, latest.frequency, MAX_HARMONIC) : null;
+      if (result) {
+        // Harmonics that weren't found, or lie above Nyquist, sit at the bottom
+        const measured = Array.from({ length: MAX_HARMONIC }, (_, i) => result.harmonics[i]?.relativeDb ?? MIN_DB);
+        levels = levels ? levels.map((level, i) => smooth(level, measured[i])) : measured;
+        stats = {
+          fundamental: smooth(stats && stats.fundamental, result.fundamental),
+          centroid: smooth(stats && stats.centroid, result.centroid),
+          oddEvenRatio: smooth(stats && stats.oddEvenRatio, result.oddEvenRatio),
+          inharmonicity: smooth(stats && stats.inharmonicity, result.inharmonicity)
+        };
+      }
+
+      ctx.clearRect(0, 0, width, height);
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'alphabetic';
+
+      if (!levels) {
+        ctx.fillStyle = '#64748b';
+        ctx.font = '12px system-ui';
+        ctx.fillText('Play or sing a steady note', width / 2, height / 2);
+        animationRef.current = requestAnimationFrame(draw);
+        return;
+      }
+      ctx.globalAlpha = result ? 1 : 0.4;
+
+      // Summary line
+      const note = frequencyToNote(stats.fundamental, reference);
+      const parts = [`${note.note} ${stats.fundamental.toFixed(1)} Hz`];
+      if (stats.centroid !== null) {
+        parts.push(`Centroid ${Math.round(stats.centroid)} Hz (${(stats.centroid / stats.fundamental).toFixed(1)}×)`);
+      }
+      parts.push(`Odd/even ${stats.oddEvenRatio === null ? 'odd only' : stats.oddEvenRatio.toFixed(2)}`);
+      if (stats.inharmonicity !== null) {
+        parts.push(`B ${(stats.inharmonicity * 1e4).toFixed(1)}×10⁻⁴`);
+      }
+      ctx.fillStyle = '#e2e8f0';
+      ctx.font = '11px system-ui';
+      ctx.fillText(parts.join('  ·  '), width / 2, 12);
+
+      // Bars, 0 dB line at the fundamental's level
+      const chartTop = 30;
+      const chartBottom = height - 14;
+      const yFor = (db) => chartBottom - ((Math.max(MIN_DB, Math.min(MAX_DB, db)) - MIN_DB) / (MAX_DB - MIN_DB)) * (chartBottom - chartTop);
+      const slot = width / MAX_HARMONIC;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+      ctx.fillRect(0, Math.round(yFor(0)), width, 1);
+      ctx.font = '9px system-ui';
+      for (let i = 0; i < MAX_HARMONIC; i++) {
+        const x = i * slot + slot * 0.15;
+        const number = i + 1;
+        ctx.fillStyle = '#94a3b8';
+        ctx.fillText(number, x + slot * 0.35, height - 3);
+        if (levels[i] <= MIN_DB) continue;
+
+        const y = yFor(levels[i]);
+        ctx.fillStyle = barColor(number);
+        ctx.fillRect(x, y, slot * 0.7, chartBottom - y);
+        if (slot >= 24) {
+          ctx.fillStyle = '#cbd5e1';
+          ctx.fillText(Math.round(levels[i]), x + slot * 0.35, y - 3);
+        }
+      }
+      ctx.globalAlpha = 1;
+
+      animationRef.current = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => {
+      if (animationRef.current) {
+        cancelAnimationFrame(animationRef.current);
+      }
+    };
+  }, [analyser, track, isActive]);
+
+  return (
+    <div className="viz-panel harmonics-panel">
+      <div className="harmonics-header">
+        <h4>Harmonics</h4>
+        <span className="harmonics-legend">
+          <span className="legend-fundamental">■ Fundamental</span>
+          <span className="legend-odd">■ Odd</span>
+          <span className="legend-even">■ Even</span>
+          <span>dB relative to the fundamental</span>
+        </span>
+      </div>
+      <canvas ref={canvasRef} className="viz-canvas harmonics-canvas"></canvas>
+    </div>
+  );
+}
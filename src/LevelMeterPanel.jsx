@@ -0,0 +1,157 @@
+import { useEffect, useRef } from 'react';
+import { METER_FLOOR } from './utils/levelMeter';
+import './LevelMeterPanel.css';
+
+const SCALE_TICKS = [0, -6, -12, -24, -48];
+const BAR_TOP = 14; // Room for the clip indicators
+const BAR_HEIGHT = 120;
+
+const formatDb = (value) => (value === null || value <= METER_FLOOR ? '-∞' : value.toFixed(1));
+
+// Sidebar meter: per-channel RMS bars over peak bars with peak hold and clip indicators (click to clear),
+// squelch line, LUFS momentary/short-term and a phase correlation bar for stereo sources
+export default function LevelMeterPanel({ meter, channelCount, squelchDb, isActive }) {
+  const canvasRef = useRef(null);
+  const animationRef = useRef(null);
+
+  const settingsRef = useRef(null);
+  settingsRef.current = { channelCount, squelchDb };
+
+  useEffect(() => {
+    if (!meter || !isActive) return;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+
+    const yFor = (db) => BAR_TOP + (Math.min(0, Math.max(METER_FLOOR, db)) / METER_FLOOR) * BAR_HEIGHT;
+
+    // Red above -6 dBFS, yellow down to -18, green below
+    const gradient = ctx.createLinearGradient(0, yFor(0), 0, yFor(METER_FLOOR));
+    gradient.addColorStop(0, '#ef4444');
+    gradient.addColorStop(-6 / METER_FLOOR, '#fbbf24');
+    gradient.addColorStop(-18 / METER_FLOOR, '#4ade80');
+    gradient.addColorStop(1, '#4ade80');
+
+    const draw = () => {
+      if (canvas.width !== canvas.offsetWidth || canvas.height !== canvas.offsetHeight) {
+        canvas.width = canvas.offsetWidth;
+        canvas.height = canvas.offsetHeight;
+      }
+      const { width } = canvas;
+      const { channelCount: channels, squelchDb: squelch } = settingsRef.current;
+      const reading = meter.update(channels);
+      const stereo = reading.channels.length > 1;
+
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.textBaseline = 'middle';
+
+      // Bars on the left, dB scale to their right
+      const barWidth = 16;
+      const gap = 4;
+      const scaleX = reading.channels.length * (barWidth + gap) + 4;
+      ctx.font = '8px system-ui';
+      ctx.textAlign = 'left';
+      SCALE_TICKS.forEach(db => {
+        const y = yFor(db);
+        ctx.fillStyle = 'rgba(148, 163, 184, 0.3)';
+        ctx.fillRect(0, Math.round(y), scaleX - 2, 1);
+        ctx.fillStyle = '#94a3b8';
+        ctx.fillText(db, scaleX, y);
+      });
+
+      reading.channels.forEach((channel, index) => {
+        const x = index * (barWidth + gap);
+
+        // Clip indicator
+        ctx.fillStyle = channel.clipped ? '#ef4444' : 'rgba(239, 68, 68, 0.15)';
+        ctx.fillRect(x, 0, barWidth, 8);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(x, BAR_TOP, barWidth, BAR_HEIGHT);
+
+        // Peak behind, RMS in front
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x, yFor(channel.peak), barWidth, BAR_TOP + BAR_HEIGHT - yFor(channel.peak));
+        ctx.globalAlpha = 1;
+        ctx.fillRect(x, yFor(channel.rms), barWidth, BAR_TOP + BAR_HEIGHT - yFor(channel.rms));
+
+        // Peak hold
+        if (channel.peakHold > METER_FLOOR) {
+          ctx.fillStyle = '#e2e8f0';
+          ctx.fillRect(x, Math.round(yFor(channel.peakHold)), barWidth, 2);
+        }
+
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'center';
+        ctx.fillText(stereo ? (index === 0 ? 'L' : 'R') : 'M', x + barWidth / 2, BAR_TOP + BAR_HEIGHT + 8);
+        ctx.textAlign = 'left';
+      });
+
+      // Squelch threshold across the bars
+      ctx.fillStyle = '#667eea';
+      ctx.fillRect(0, Math.round(yFor(squelch)) - 1, scaleX - 2, 2);
+
+      // Readouts
+      let y = BAR_TOP + BAR_HEIGHT + 22;
+      const line = (label, value, color = '#e2e8f0') => {
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'left';
+        ctx.fillText(label, 0, y);
+        ctx.fillStyle = color;
+        ctx.textAlign = 'right';
+        ctx.fillText(value, width, y);
+        y += 12;
+      };
+      ctx.font = '9px system-ui';
+      line('Peak', reading.channels.map(c => formatDb(c.peak)).join(' / '));
+      line('RMS', reading.channels.map(c => formatDb(c.rms)).join(' / '));
+      line('LUFS M', formatDb(reading.momentary), '#fa709a');
+      line('LUFS S', formatDb(reading.shortTerm), '#fa709a');
+
+      // Phase correlation: -1 (out of phase) to +1 (mono)
+      if (stereo) {
+        y += 2;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, y, width, 8);
+        ctx.fillStyle = 'rgba(148, 163, 184, 0.5)';
+        ctx.fillRect(Math.round(width / 2), y, 1, 8);
+        if (reading.correlation !== null) {
+          const markerX = ((reading.correlation + 1) / 2) * width;
+          ctx.fillStyle = reading.correlation < 0 ? '#ef4444' : '#4ade80';
+          ctx.fillRect(Math.max(0, Math.min(width - 3, markerX - 1.5)), y, 3, 8);
+        }
+        y += 16;
+        ctx.font = '8px system-ui';
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'left';
+        ctx.fillText('-1', 0, y);
+        ctx.textAlign = 'center';
+        ctx.fillText(reading.correlation === null ? 'Phase' : `Phase ${reading.correlation.toFixed(2)}`, width / 2, y);
+        ctx.textAlign = 'right';
+        ctx.fillText('+1', width, y);
+      }
+
+      animationRef.current = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => {
+      if (animationRef.current) {
+        cancelAnimationFrame(animationRef.current);
+      }
+    };
+  }, [meter, isActive]);
+
+  return (
+    <div className="level-meter-panel">
+      <label className="vertical-label">Level</label>
+      <canvas
+        ref={canvasRef}
+        className={`level-meter-canvas ${channelCount > 1 ? 'stereo' : ''}`}
+        onClick={() => meter && meter.resetClip()}
+        title="Peak and RMS in dBFS, loudness in LUFS (BS.1770). Click to clear the clip indicators"
+      ></canvas>
+    </div>
+  );
+}
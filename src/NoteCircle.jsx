@@ -0,0 +1,156 @@
+import { useEffect, useRef, useState } from 'react';
+import { NOTE_NAMES, getKeyScale } from './utils/audioUtils';
+import './NoteCircle.css';
+
+const LAYOUTS = {
+  chromatic: 'Chromatic',
+  fifths: 'Circle of fifths'
+};
+
+// Pitch class shown at each of the 12 positions, clockwise from the top
+const pitchClassAt = (position, layout) => (layout === 'fifths' ? (position * 7) % 12 : position);
+
+// Circle of the 12 pitch classes: current note, note histogram petals and the consensus key's scale degrees
+// currentNote is in scientific pitch notation ("A4"), keyName as returned by KeyDetector ("A Minor")
+// noteHistogram holds seconds held or note counts, depending on noteWeighting
+export default function NoteCircle({ currentNote, noteHistogram = {}, noteWeighting = 'duration', keyName }) {
+  const canvasRef = useRef(null);
+  const [layout, setLayout] = useState('fifths');
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+
+    const current = currentNote ? NOTE_NAMES.indexOf(currentNote.replace(/-?\d+$/, '')) : -1;
+    const scale = keyName ? getKeyScale(keyName) : null;
+    const degreeOf = {};
+    if (scale) {
+      scale.degrees.forEach(degree => {
+        degreeOf[degree.pitchClass] = degree.numeral;
+      });
+    }
+    const counts = NOTE_NAMES.map(name => noteHistogram[name] || 0);
+    const maxCount = Math.max(...counts);
+    const total = counts.reduce((a, b) => a + b, 0);
+
+    const draw = () => {
+      canvas.width = canvas.offsetWidth;
+      canvas.height = canvas.offsetHeight;
+      const { width, height } = canvas;
+      const cx = width / 2;
+      const cy = height / 2;
+      const outer = Math.min(width, height) / 2 - 8;
+      const nodeRadius = outer * 0.12;
+      const ring = outer - nodeRadius;
+      const petalInner = ring * 0.3;
+      const petalOuter = ring - nodeRadius - 18;
+      const step = (Math.PI * 2) / 12;
+      const angleAt = (position) => -Math.PI / 2 + position * step;
+
+      ctx.clearRect(0, 0, width, height);
+
+      // Scale band behind the notes of the key, stronger on the tonic
+      if (scale) {
+        ctx.lineWidth = nodeRadius * 2.6;
+        for (let position = 0; position < 12; position++) {
+          const pitchClass = pitchClassAt(position, layout);
+          if (!(pitchClass in degreeOf)) continue;
+          ctx.strokeStyle = pitchClass === scale.tonic ? 'rgba(74, 222, 128, 0.3)' : 'rgba(74, 222, 128, 0.12)';
+          ctx.beginPath();
+          ctx.arc(cx, cy, ring, angleAt(position) - step / 2, angleAt(position) + step / 2);
+          ctx.stroke();
+        }
+      }
+
+      // Histogram petals, longest for the most frequent note
+      if (maxCount > 0) {
+        for (let position = 0; position < 12; position++) {
+          const count = counts[pitchClassAt(position, layout)];
+          if (count === 0) continue;
+          const length = petalInner + (petalOuter - petalInner) * (count / maxCount);
+          const angle = angleAt(position);
+          ctx.fillStyle = 'rgba(102, 126, 234, 0.55)';
+          ctx.beginPath();
+          ctx.arc(cx, cy, length, angle - step * 0.4, angle + step * 0.4);
+          ctx.arc(cx, cy, petalInner, angle + step * 0.4, angle - step * 0.4, true);
+          ctx.closePath();
+          ctx.fill();
+        }
+      }
+
+      // Note nodes with their scale degree just inside
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      for (let position = 0; position < 12; position++) {
+        const pitchClass = pitchClassAt(position, layout);
+        const angle = angleAt(position);
+        const x = cx + Math.cos(angle) * ring;
+        const y = cy + Math.sin(angle) * ring;
+        const inKey = pitchClass in degreeOf;
+        const isCurrent = pitchClass === current;
+
+        ctx.shadowBlur = isCurrent ? 15 : 0;
+        ctx.shadowColor = '#fa709a';
+        ctx.fillStyle = isCurrent ? '#fa709a' : inKey ? 'rgba(74, 222, 128, 0.25)' : 'rgba(15, 23, 42, 0.8)';
+        ctx.beginPath();
+        ctx.arc(x, y, nodeRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+
+        ctx.lineWidth = scale && pitchClass === scale.tonic ? 3 : 1.5;
+        ctx.strokeStyle = inKey ? '#4ade80' : 'rgba(148, 163, 184, 0.4)';
+        ctx.stroke();
+
+        ctx.fillStyle = isCurrent || inKey ? '#ffffff' : '#94a3b8';
+        ctx.font = `${isCurrent ? 'bold ' : ''}${Math.round(nodeRadius * 0.8)}px system-ui`;
+        ctx.fillText(NOTE_NAMES[pitchClass], x, y);
+
+        if (inKey) {
+          ctx.fillStyle = '#4ade80';
+          ctx.font = `${Math.round(nodeRadius * 0.6)}px system-ui`;
+          ctx.fillText(degreeOf[pitchClass], cx + Math.cos(angle) * (ring - nodeRadius - 9), cy + Math.sin(angle) * (ring - nodeRadius - 9));
+        }
+      }
+
+      // Key and the current note's place in it
+      ctx.fillStyle = keyName ? '#e2e8f0' : '#64748b';
+      ctx.font = 'bold 14px system-ui';
+      ctx.fillText(keyName || 'No key yet', cx, cy - 9);
+      if (currentNote) {
+        ctx.fillStyle = '#fa709a';
+        ctx.font = '12px system-ui';
+        const place = !scale ? '' : current in degreeOf ? ` · ${degreeOf[current]}` : ' · out of key';
+        ctx.fillText(`${currentNote}${place}`, cx, cy + 9);
+      }
+      if (total > 0) {
+        ctx.fillStyle = '#64748b';
+        ctx.font = '10px system-ui';
+        ctx.fillText(noteWeighting === 'event' ? `${total} notes` : `${total.toFixed(1)} s`, cx, cy + 25);
+      }
+    };
+    draw();
+
+    window.addEventListener('resize', draw);
+    return () => window.removeEventListener('resize', draw);
+  }, [currentNote, noteHistogram, noteWeighting, keyName, layout]);
+
+  return (
+    <div className="viz-panel note-circle-panel">
+      <div className="note-circle-header">
+        <h4>{LAYOUTS[layout]}</h4>
+        <select value={layout} onChange={(e) => setLayout(e.target.value)} title="Order of the notes around the circle">
+          {Object.entries(LAYOUTS).map(([id, name]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+      </div>
+      <canvas ref={canvasRef} className="viz-canvas note-circle"></canvas>
+      <div className="note-circle-legend">
+        <span className="legend-current">● Current note</span>
+        <span className="legend-histogram">■ Note histogram</span>
+        <span className="legend-key">○ In key (degree)</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import { useEffect, useRef, useState } from 'react';
+import { NOTE_NAMES } from './utils/audioUtils';
+import { frequencyToMidi } from './utils/pitchTrack';
+import './PianoRoll.css';
+
+const KEYBOARD_WIDTH = 36;
+const WINDOWS = [5, 10, 20, 30]; // Seconds across the roll
+const RANGES = [12, 24, 48]; // Semitones top to bottom
+const BLACK_KEYS = [1, 3, 6, 8, 10]; // Pitch classes of the black keys
+const MAX_GAP = 0.1; // Seconds between readings still drawn as one connected line
+
+// In tune is green; flat shades to blue and sharp to red at ±50 cents
+const centsColor = (cents, alpha = 1) => {
+  const amount = Math.min(1, Math.abs(cents) / 50);
+  const hue = cents >= 0 ? 140 - amount * 140 : 140 + amount * 80;
+  return `hsla(${hue}, 80%, 60%, ${alpha})`;
+};
+
+// Scrolling pitch contour against a keyboard axis, colored by deviation from equal temperament
+export default function PianoRoll({ track, getTime, isActive, a4 = 440 }) {
+  const canvasRef = useRef(null);
+  const animationRef = useRef(null);
+  const [windowSeconds, setWindowSeconds] = useState(10);
+  const [range, setRange] = useState(24);
+
+  // Latest settings for the animation loop
+  const settingsRef = useRef(null);
+  settingsRef.current = { windowSeconds, range, a4 };
+  const getTimeRef = useRef(getTime);
+  getTimeRef.current = getTime;
+
+  useEffect(() => {
+    if (!track || !isActive) return;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    let center = 60; // MIDI note at the middle of the view, follows the singer
+
+    const draw = () => {
+      if (canvas.width !== canvas.offsetWidth || canvas.height !== canvas.offsetHeight) {
+        canvas.width = canvas.offsetWidth;
+        canvas.height = canvas.offsetHeight;
+      }
+      const { width, height } = canvas;
+      const { windowSeconds: span, range: semitones, a4: reference } = settingsRef.current;
+      const now = getTimeRef.current();
+      const points = track.getPoints(now - span);
+
+      // Re-center on the median of the last 3 seconds, eased so the view doesn't jump
+      const recent = points.filter(p => p.time >= now - 3).map(p => frequencyToMidi(p.frequency, reference)).sort((a, b) => a - b);
+      if (recent.length > 0) {
+        center += (recent[Math.floor(recent.length / 2)] - center) * 0.05;
+      }
+      const low = Math.round(center - semitones / 2);
+      const rowHeight = height / semitones;
+      const yFor = (midi) => height - (midi - low + 0.5) * rowHeight;
+      const rollWidth = width - KEYBOARD_WIDTH;
+      const xFor = (time) => KEYBOARD_WIDTH + (1 - (now - time) / span) * rollWidth;
+
+      ctx.clearRect(0, 0, width, height);
+
+      // Lanes and keyboard
+      const latest = track.getLatest();
+      const sounding = latest && now - latest.time < 0.2 ? Math.round(frequencyToMidi(latest.frequency, reference)) : null;
+      ctx.font = '9px system-ui';
+      ctx.textBaseline = 'middle';
+      for (let midi = low; midi < low + semitones; midi++) {
+        const pitchClass = ((midi % 12) + 12) % 12;
+        const isBlack = BLACK_KEYS.includes(pitchClass);
+        const top = yFor(midi) - rowHeight / 2;
+
+        ctx.fillStyle = isBlack ? 'rgba(0, 0, 0, 0.25)' : 'rgba(255, 255, 255, 0.03)';
+        ctx.fillRect(KEYBOARD_WIDTH, top, rollWidth, rowHeight);
+        if (pitchClass === 0) {
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+          ctx.fillRect(KEYBOARD_WIDTH, top + rowHeight - 1, rollWidth, 1);
+        }
+
+        ctx.fillStyle = midi === sounding ? '#fa709a' : isBlack ? '#1e293b' : '#e2e8f0';
+        ctx.fillRect(0, top + 0.5, isBlack ? KEYBOARD_WIDTH * 0.65 : KEYBOARD_WIDTH - 2, rowHeight - 1);
+        if (pitchClass === 0 && rowHeight >= 8) {
+          ctx.fillStyle = '#0f172a';
+          ctx.fillText(`C${Math.floor(midi / 12) - 1}`, KEYBOARD_WIDTH - 18, yFor(midi));
+        }
+      }
+
+      // Pitch contour
+      ctx.lineWidth = 2;
+      ctx.lineCap = 'round';
+      let previous = null;
+      points.forEach(point => {
+        const midi = frequencyToMidi(point.frequency, reference);
+        const cents = (midi - Math.round(midi)) * 100;
+        const x = xFor(point.time);
+        const y = yFor(midi);
+        const color = centsColor(cents, 0.35 + 0.65 * point.clarity);
+
+        if (previous && point.time - previous.time <= MAX_GAP && Math.abs(midi - previous.midi) < 1.5) {
+          ctx.strokeStyle = color;
+          ctx.beginPath();
+          ctx.moveTo(previous.x, previous.y);
+          ctx.lineTo(x, y);
+          ctx.stroke();
+        } else {
+          ctx.fillStyle = color;
+          ctx.fillRect(x - 1, y - 1, 2, 2);
+        }
+        previous = { time: point.time, midi, x, y };
+      });
+
+      // Current reading
+      if (latest && now - latest.time < 0.5) {
+        const midi = frequencyToMidi(latest.frequency, reference);
+        const nearest = Math.round(midi);
+        const cents = Math.round((midi - nearest) * 100);
+        ctx.font = 'bold 12px system-ui';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = centsColor(cents);
+        ctx.fillText(`${NOTE_NAMES[((nearest % 12) + 12) % 12]}${Math.floor(nearest / 12) - 1} ${cents > 0 ? '+' : ''}${cents}¢`, width - 6, 10);
+        ctx.textAlign = 'left';
+      }
+
+      animationRef.current = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => {
+      if (animationRef.current) {
+        cancelAnimationFrame(animationRef.current);
+      }
+    };
+  }, [track, isActive]);
+
+  return (
+    <div className="viz-panel piano-roll-panel">
+      <div className="piano-roll-header">
+        <h4>Pitch Track</h4>
+        <div className="piano-roll-controls">
+          <select value={windowSeconds} onChange={(e) => setWindowSeconds(Number(e.target.value))} title="Time shown">
+            {WINDOWS.map(seconds => (
+              <option key={seconds} value={seconds}>{seconds}s</option>
+            ))}
+          </select>
+          <select value={range} onChange={(e) => setRange(Number(e.target.value))} title="Pitch range shown">
+            {RANGES.map(semitones => (
+              <option key={semitones} value={semitones}>{semitones / 12} oct</option>
+            ))}
+          </select>
+          <span className="piano-roll-legend">
+            <span style={{ color: centsColor(-50) }}>♭50¢</span>
+            <span style={{ color: centsColor(0) }}>in tune</span>
+            <span style={{ color: centsColor(50) }}>♯50¢</span>
+          </span>
+        </div>
+      </div>
+      <canvas ref={canvasRef} className="viz-canvas piano-roll-canvas"></canvas>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import { useEffect, useRef, useState } from 'react';
+import './RecordingTimeline.css';
+
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+};
+
+export default function RecordingTimeline({ timeline, duration, getCurrentTime, onSeek }) {
+  const canvasRef = useRef(null);
+  const backgroundRef = useRef(null); // Pre-rendered notes/keys/beats, redrawn on resize
+  const animationRef = useRef(null);
+  const [current, setCurrent] = useState({ time: 0, entry: null });
+  const getCurrentTimeRef = useRef(getCurrentTime);
+  getCurrentTimeRef.current = getCurrentTime;
+
+  // Render the static part of the timeline once per size/timeline change
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !timeline) return;
+
+    const renderBackground = () => {
+      canvas.width = canvas.offsetWidth;
+      canvas.height = canvas.offsetHeight;
+
+      const background = document.createElement('canvas');
+      background.width = canvas.width;
+      background.height = canvas.height;
+      const ctx = background.getContext('2d');
+      const { width, height } = background;
+      const entries = timeline.getEntries();
+      const total = duration || timeline.getDuration() || 1;
+      const xFor = (time) => (time / total) * width;
+
+      // Key sections along the top
+      const keyBand = 16;
+      let sectionStart = 0;
+      let sectionKey = null;
+      const drawSection = (key, start, end) => {
+        if (!key) return;
+        const hue = (key.charCodeAt(0) * 47 + (key.includes('Minor') ? 180 : 0)) % 360;
+        ctx.fillStyle = `hsla(${hue}, 60%, 45%, 0.6)`;
+        ctx.fillRect(xFor(start), 0, xFor(end) - xFor(start), keyBand);
+        ctx.fillStyle = '#e2e8f0';
+        ctx.font = '10px system-ui';
+        ctx.textAlign = 'left';
+        if (xFor(end) - xFor(start) > 40) {
+          ctx.fillText(key, xFor(start) + 3, 12);
+        }
+      };
+      entries.forEach(entry => {
+        if (entry.key !== sectionKey) {
+          drawSection(sectionKey, sectionStart, entry.time);
+          sectionKey = entry.key;
+          sectionStart = entry.time;
+        }
+      });
+      drawSection(sectionKey, sectionStart, total);
+
+      // Note pitch contour; range found in a loop since a long take has too many frames to spread into Math.min
+      let lowest = Infinity;
+      let highest = -Infinity;
+      entries.forEach(entry => {
+        if (!entry.midi) return;
+        lowest = Math.min(lowest, entry.midi);
+        highest = Math.max(highest, entry.midi);
+      });
+      if (lowest <= highest) {
+        const minMidi = lowest - 1;
+        const maxMidi = highest + 1;
+        const top = keyBand + 4;
+        const bottom = height - 10;
+        ctx.fillStyle = '#4ade80';
+        entries.forEach(entry => {
+          if (!entry.midi) return;
+          const y = bottom - ((entry.midi - minMidi) / (maxMidi - minMidi)) * (bottom - top);
+          ctx.fillRect(xFor(entry.time), y - 1, 2, 3);
+        });
+      }
+
+      // Beat ticks along the bottom
+      ctx.fillStyle = 'rgba(239, 68, 68, 0.8)';
+      entries.forEach(entry => {
+        if (entry.isBeat) {
+          ctx.fillRect(xFor(entry.time), height - 8, 1, 8);
+        }
+      });
+
+      backgroundRef.current = background;
+    };
+
+    renderBackground();
+    window.addEventListener('resize', renderBackground);
+    return () => window.removeEventListener('resize', renderBackground);
+  }, [timeline, duration]);
+
+  // Playhead follows the player
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !timeline) return;
+    const ctx = canvas.getContext('2d');
+    let lastEntry = null;
+    let lastTime = -1;
+
+    const draw = () => {
+      const time = getCurrentTimeRef.current();
+      const total = duration || timeline.getDuration() || 1;
+      const { width, height } = canvas;
+
+      ctx.clearRect(0, 0, width, height);
+      if (backgroundRef.current) {
+        ctx.drawImage(backgroundRef.current, 0, 0);
+      }
+      const x = (time / total) * width;
+      ctx.strokeStyle = '#fbbf24';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+
+      // Only re-render the readout when something changes
+      const entry = timeline.getAt(time);
+      if (entry !== lastEntry || Math.abs(time - lastTime) >= 0.1) {
+        lastEntry = entry;
+        lastTime = time;
+        setCurrent({ time, entry });
+      }
+
+      animationRef.current = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => {
+      if (animationRef.current) {
+        cancelAnimationFrame(animationRef.current);
+      }
+    };
+  }, [timeline, duration]);
+
+  const handleClick = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const fraction = (event.clientX - rect.left) / rect.width;
+    onSeek(Math.max(0, Math.min(1, fraction)) * (duration || timeline.getDuration()));
+  };
+
+  const { time, entry } = current;
+
+  return (
+    <div className="recording-timeline">
+      <div className="section-header">
+        <h3>Recorded Take</h3>
+        <div className="timeline-readout">
+          <span>{formatTime(time)} / {formatTime(duration || 0)}</span>
+          <span>Note: <strong>{entry?.note || '--'}</strong></span>
+          <span>Key: <strong>{entry?.key || '--'}</strong></span>
+          <span>BPM: <strong>{entry?.bpm || '--'}</strong></span>
+        </div>
+      </div>
+      <canvas
+        ref={canvasRef}
+        className="timeline-canvas"
+        onClick={handleClick}
+        title="Click to seek"
+      />
+    </div>
+  );
+}
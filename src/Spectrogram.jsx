@@ -0,0 +1,184 @@
+import { useEffect, useRef, useState } from 'react';
+import { COLORMAPS, buildColormapLUT } from './utils/colormaps';
+import './Spectrogram.css';
+
+const MIN_FREQUENCY = 27.5; // A0, bottom of the axis
+const TOP_FREQUENCIES = [1000, 2000, 5000, 10000, 20000];
+
+// Scrolling spectrogram: time runs right to left, log-frequency axis with note gridlines
+// One column per animation frame from the analyser's float (dB) spectrum
+export default function Spectrogram({ analyser, isActive, a4 = 440 }) {
+  const canvasRef = useRef(null);
+  const gridRef = useRef(null);
+  const animationRef = useRef(null);
+  const [colormap, setColormap] = useState('magma');
+  const [minDb, setMinDb] = useState(-100);
+  const [maxDb, setMaxDb] = useState(-30);
+  const [maxFrequency, setMaxFrequency] = useState(5000);
+
+  // Latest settings for the animation loop, so changing them doesn't restart it (and clear the history)
+  const settingsRef = useRef(null);
+  settingsRef.current = { minDb, maxDb, maxFrequency, a4 };
+  const lutRef = useRef(null);
+  if (!lutRef.current || lutRef.current.id !== colormap) {
+    lutRef.current = { id: colormap, lut: buildColormapLUT(colormap) };
+  }
+
+  useEffect(() => {
+    if (!analyser || !isActive) return;
+    const canvas = canvasRef.current;
+    const grid = gridRef.current;
+    if (!canvas || !grid) return;
+    const ctx = canvas.getContext('2d');
+    const gridCtx = grid.getContext('2d');
+    const sampleRate = analyser.context.sampleRate;
+
+    let data = null;
+    let column = null;
+    let rows = null; // Per pixel row: { low, high, position } in FFT bins
+    let layoutKey = '';
+
+    // Row -> bin mapping and gridlines, rebuilt when size, FFT size, range or A4 changes
+    const layout = (top) => {
+      const { height, width } = canvas;
+      const binHz = sampleRate / analyser.fftSize;
+      const frequencyAt = (y) => MIN_FREQUENCY * Math.pow(top / MIN_FREQUENCY, 1 - y / height);
+
+      rows = [];
+      for (let y = 0; y < height; y++) {
+        const high = frequencyAt(y) / binHz;
+        const low = frequencyAt(y + 1) / binHz;
+        rows.push({ low: Math.ceil(low), high: Math.floor(high), position: frequencyAt(y + 0.5) / binHz });
+      }
+      column = ctx.createImageData(1, height);
+
+      // Every semitone when there is room, C of each octave labelled
+      const { a4: reference } = settingsRef.current;
+      gridCtx.clearRect(0, 0, width, height);
+      gridCtx.font = '10px system-ui';
+      gridCtx.textAlign = 'left';
+      const yFor = (frequency) => height * (1 - Math.log(frequency / MIN_FREQUENCY) / Math.log(top / MIN_FREQUENCY));
+      const semitoneSpacing = height / (12 * Math.log2(top / MIN_FREQUENCY));
+      for (let midi = 21; midi <= 135; midi++) {
+        const frequency = reference * Math.pow(2, (midi - 69) / 12);
+        if (frequency > top) break;
+        const y = Math.round(yFor(frequency)) + 0.5;
+        const isC = midi % 12 === 0;
+        if (!isC && semitoneSpacing < 4) continue;
+        gridCtx.strokeStyle = isC ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.08)';
+        gridCtx.beginPath();
+        gridCtx.moveTo(0, y);
+        gridCtx.lineTo(width, y);
+        gridCtx.stroke();
+        if (isC) {
+          gridCtx.fillStyle = 'rgba(226, 232, 240, 0.8)';
+          gridCtx.fillText(`C${midi / 12 - 1}`, 3, y - 2);
+        }
+      }
+    };
+
+    const draw = () => {
+      const { minDb: floor, maxDb: ceiling, maxFrequency: requestedTop, a4: reference } = settingsRef.current;
+      const top = Math.min(requestedTop, sampleRate / 2);
+
+      if (canvas.width !== canvas.offsetWidth || canvas.height !== canvas.offsetHeight) {
+        canvas.width = grid.width = canvas.offsetWidth;
+        canvas.height = grid.height = canvas.offsetHeight;
+      }
+      const key = `${canvas.width}x${canvas.height}/${analyser.fftSize}/${top}/${reference}`;
+      if (key !== layoutKey) {
+        layoutKey = key;
+        data = new Float32Array(analyser.frequencyBinCount);
+        layout(top);
+      }
+      const { width, height } = canvas;
+      const { lut } = lutRef.current;
+
+      analyser.getFloatFrequencyData(data);
+
+      // Scroll one pixel left and paint the new column on the right
+      ctx.drawImage(canvas, -1, 0);
+      const range = ceiling - floor;
+      for (let y = 0; y < height; y++) {
+        const row = rows[y];
+        let db;
+        if (row.high >= row.low) {
+          // Row spans whole bins: strongest one
+          db = -Infinity;
+          for (let bin = row.low; bin <= Math.min(row.high, data.length - 1); bin++) {
+            if (data[bin] > db) db = data[bin];
+          }
+        } else {
+          // Row narrower than a bin (low end): interpolate
+          const i = Math.min(data.length - 2, Math.floor(row.position));
+          const t = row.position - i;
+          db = data[i] * (1 - t) + data[i + 1] * t;
+        }
+        const level = Math.max(0, Math.min(255, Math.round(((db - floor) / range) * 255))) || 0;
+        const offset = y * 4;
+        column.data[offset] = lut[level * 3];
+        column.data[offset + 1] = lut[level * 3 + 1];
+        column.data[offset + 2] = lut[level * 3 + 2];
+        column.data[offset + 3] = 255;
+      }
+      ctx.putImageData(column, width - 1, 0);
+
+      animationRef.current = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => {
+      if (animationRef.current) {
+        cancelAnimationFrame(animationRef.current);
+      }
+    };
+  }, [analyser, isActive]);
+
+  return (
+    <div className="viz-panel spectrogram-panel">
+      <div className="spectrogram-header">
+        <h4>Spectrogram</h4>
+        <div className="spectrogram-controls">
+          <select value={colormap} onChange={(e) => setColormap(e.target.value)} title="Colormap">
+            {Object.entries(COLORMAPS).map(([id, { name }]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+          <select value={maxFrequency} onChange={(e) => setMaxFrequency(Number(e.target.value))} title="Top of the frequency axis">
+            {TOP_FREQUENCIES.map(frequency => (
+              <option key={frequency} value={frequency}>
+                {frequency >= 1000 ? `${frequency / 1000} kHz` : `${frequency} Hz`}
+              </option>
+            ))}
+          </select>
+          <label title="Quietest level shown (black)">
+            Floor
+            <input
+              type="range"
+              min="-140"
+              max="-40"
+              value={minDb}
+              onChange={(e) => setMinDb(Math.min(Number(e.target.value), maxDb - 10))}
+            />
+            <span>{minDb} dB</span>
+          </label>
+          <label title="Loudest level shown (full color)">
+            Ceiling
+            <input
+              type="range"
+              min="-80"
+              max="0"
+              value={maxDb}
+              onChange={(e) => setMaxDb(Math.max(Number(e.target.value), minDb + 10))}
+            />
+            <span>{maxDb} dB</span>
+          </label>
+        </div>
+      </div>
+      <div className="spectrogram-canvases">
+        <canvas ref={canvasRef} className="viz-canvas spectrogram-canvas"></canvas>
+        <canvas ref={gridRef} className="viz-canvas spectrogram-grid"></canvas>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import { useRef, useState } from 'react';
+import { NOTE_NAMES } from './utils/audioUtils';
+import { SUPPORTED_AUDIO_EXTENSIONS, isSupportedAudioFile } from './utils/trackStore';
+import './TrackImport.css';
+
+// "C major" ... "B minor", the format songLibrary uses
+const KEY_OPTIONS = ['major', 'minor'].flatMap(mode => NOTE_NAMES.map(note => `${note} ${mode}`));
+const TIME_SIGNATURES = ['2/4', '3/4', '4/4', '6/8'];
+const ACCEPT = SUPPORTED_AUDIO_EXTENSIONS.map(ext => `.${ext}`).join(',');
+
+const emptyMetadata = { name: '', expectedKey: '', bpm: '', timeSignature: '' };
+
+// Drop zone / file picker for local calibration tracks, plus the metadata form
+// With `track` set it edits that track's metadata instead
+export default function TrackImport({ track, disabled, onSave, onCancel, onError }) {
+  const inputRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [metadata, setMetadata] = useState(() => track
+    ? {
+        name: track.name,
+        expectedKey: track.expectedKey || '',
+        bpm: track.bpm || '',
+        timeSignature: track.timeSignature || ''
+      }
+    : emptyMetadata);
+
+  const pickFile = (picked) => {
+    if (!picked) return;
+    if (!isSupportedAudioFile(picked)) {
+      onError(`Unsupported file type. Use ${SUPPORTED_AUDIO_EXTENSIONS.map(ext => ext.toUpperCase()).join(', ')}.`);
+      return;
+    }
+    setFile(picked);
+    setMetadata({ ...emptyMetadata, name: picked.name.replace(/\.[^.]+$/, '') });
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled) pickFile(e.dataTransfer.files[0]);
+  };
+
+  const update = (field) => (e) => setMetadata(prev => ({ ...prev, [field]: e.target.value }));
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      // Keep the file and metadata when saving failed so the user can retry
+      if (await onSave(metadata, file)) {
+        setFile(null);
+        setMetadata(emptyMetadata);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const cancel = () => {
+    setFile(null);
+    setMetadata(emptyMetadata);
+    if (onCancel) onCancel();
+  };
+
+  if (!file && !track) {
+    return (
+      <div
+        className={`track-drop-zone ${dragging ? 'dragging' : ''} ${disabled ? 'disabled' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => !disabled && inputRef.current.click()}
+        title="MP3, WAV, OGG or FLAC - stored in this browser"
+      >
+        Drop audio file or <span className="track-drop-browse">browse</span>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={ACCEPT}
+          onClick={(e) => e.stopPropagation()} // Don't bubble back into the zone's own click handler
+          onChange={(e) => {
+            pickFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+          hidden
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="track-form">
+      <div className="track-form-file">{file ? file.name : track.filename}</div>
+      <input
+        className="song-select-compact"
+        type="text"
+        placeholder="Name"
+        value={metadata.name}
+        onChange={update('name')}
+      />
+      <select className="song-select-compact" value={metadata.expectedKey} onChange={update('expectedKey')}>
+        <option value="">Expected key (optional)</option>
+        {KEY_OPTIONS.map(key => (
+          <option key={key} value={key}>{key}</option>
+        ))}
+      </select>
+      <div className="track-form-row">
+        <input
+          className="song-select-compact"
+          type="number"
+          min="20"
+          max="300"
+          placeholder="BPM"
+          value={metadata.bpm}
+          onChange={update('bpm')}
+        />
+        <select className="song-select-compact" value={metadata.timeSignature} onChange={update('timeSignature')}>
+          <option value="">Meter</option>
+          {TIME_SIGNATURES.map(signature => (
+            <option key={signature} value={signature}>{signature}</option>
+          ))}
+        </select>
+      </div>
+      <div className="track-form-row">
+        <button
+          className="btn btn-compact btn-primary"
+          onClick={save}
+          disabled={saving}
+          style={{fontSize: '0.7rem', padding: '0.4rem'}}
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          className="btn btn-compact btn-secondary"
+          onClick={cancel}
+          disabled={saving}
+          style={{fontSize: '0.7rem', padding: '0.4rem'}}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
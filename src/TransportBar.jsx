@@ -0,0 +1,282 @@
+import { useEffect, useRef, useState } from 'react';
+import './TransportBar.css';
+
+const formatTime = (seconds) => {
+  if (!Number.isFinite(seconds)) return '0:00.0';
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+};
+
+const OVERVIEW_BUCKETS = 1000;
+const DRAG_THRESHOLD = 4; // px of movement before a click becomes a loop selection
+const MIN_LOOP = 0.05; // s; shorter selections count as a click
+
+// Position, waveform overview, click-to-seek, A/B loop and speed for AudioPlayer
+export default function TransportBar({ player, isPlaying, onTogglePlay }) {
+  const canvasRef = useRef(null);
+  const animationRef = useRef(null);
+  const dragRef = useRef(null); // { startX, startTime, currentTime } while the mouse is down
+  const [peaks, setPeaks] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [loop, setLoop] = useState(null); // { start, end }, end is null until B is set
+  const [loopEnabled, setLoopEnabled] = useState(false);
+  const [rate, setRate] = useState(1);
+  const [preservePitch, setPreservePitch] = useState(true);
+
+  const duration = player.getDuration() || 0;
+
+  useEffect(() => {
+    let cancelled = false;
+    player.getOverview(OVERVIEW_BUCKETS)
+      .then(result => {
+        if (!cancelled) setPeaks(result);
+      })
+      .catch(err => console.warn('Waveform overview unavailable:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [player]);
+
+  useEffect(() => {
+    player.setPlaybackRate(rate, preservePitch);
+  }, [player, rate, preservePitch]);
+
+  // Keep the player's loop in step with the A/B points
+  useEffect(() => {
+    if (loopEnabled && loop && loop.end !== null && loop.end > loop.start) {
+      player.setLoop(loop.start, loop.end);
+    } else {
+      player.clearLoop();
+    }
+  }, [player, loop, loopEnabled]);
+
+  // Waveform, loop region and playhead
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    let lastPosition = -1;
+
+    const draw = () => {
+      if (canvas.width !== canvas.offsetWidth || canvas.height !== canvas.offsetHeight) {
+        canvas.width = canvas.offsetWidth;
+        canvas.height = canvas.offsetHeight;
+      }
+      const { width, height } = canvas;
+      const total = player.getDuration() || 1;
+      const time = player.getCurrentTime();
+      const xFor = (t) => (t / total) * width;
+
+      ctx.clearRect(0, 0, width, height);
+
+      // Loop region (or the selection being dragged)
+      const drag = dragRef.current;
+      const region = drag && drag.selecting
+        ? { start: Math.min(drag.startTime, drag.currentTime), end: Math.max(drag.startTime, drag.currentTime) }
+        : loop;
+      if (region) {
+        ctx.fillStyle = loopEnabled || (drag && drag.selecting) ? 'rgba(250, 112, 154, 0.25)' : 'rgba(148, 163, 184, 0.15)';
+        const end = region.end !== null ? region.end : region.start;
+        ctx.fillRect(xFor(region.start), 0, Math.max(2, xFor(end) - xFor(region.start)), height);
+      }
+
+      // Waveform, played part brighter
+      if (peaks) {
+        const mid = height / 2;
+        const playedX = xFor(time);
+        for (let x = 0; x < width; x++) {
+          const peak = peaks[Math.floor((x / width) * peaks.length)];
+          const h = Math.max(1, peak * (height - 4));
+          ctx.fillStyle = x < playedX ? '#4ade80' : 'rgba(74, 222, 128, 0.4)';
+          ctx.fillRect(x, mid - h / 2, 1, h);
+        }
+      } else {
+        ctx.fillStyle = '#64748b';
+        ctx.font = '11px system-ui';
+        ctx.textAlign = 'center';
+        ctx.fillText('Loading waveform...', width / 2, height / 2 + 4);
+      }
+
+      // A/B markers
+      if (loop) {
+        ctx.fillStyle = '#fa709a';
+        ctx.font = 'bold 10px system-ui';
+        ctx.textAlign = 'left';
+        [['A', loop.start], ['B', loop.end]].forEach(([label, t]) => {
+          if (t === null) return;
+          ctx.fillRect(xFor(t), 0, 1, height);
+          ctx.fillText(label, xFor(t) + 3, 11);
+        });
+      }
+
+      // Playhead
+      ctx.strokeStyle = '#fbbf24';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(xFor(time), 0);
+      ctx.lineTo(xFor(time), height);
+      ctx.stroke();
+
+      if (Math.abs(time - lastPosition) >= 0.1) {
+        lastPosition = time;
+        setPosition(time);
+      }
+
+      animationRef.current = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => {
+      if (animationRef.current) {
+        cancelAnimationFrame(animationRef.current);
+      }
+    };
+  }, [player, peaks, loop, loopEnabled]);
+
+  const timeAt = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    return fraction * (player.getDuration() || 0);
+  };
+
+  const handleMouseDown = (event) => {
+    const time = timeAt(event);
+    dragRef.current = { startX: event.clientX, startTime: time, currentTime: time, selecting: false };
+  };
+
+  const handleMouseMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    drag.currentTime = timeAt(event);
+    if (Math.abs(event.clientX - drag.startX) > DRAG_THRESHOLD) {
+      drag.selecting = true;
+    }
+  };
+
+  // Click seeks; dragging selects a loop region and turns looping on
+  const handleMouseUp = (event) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+
+    const time = timeAt(event);
+    const start = Math.min(drag.startTime, time);
+    const end = Math.max(drag.startTime, time);
+
+    // A drag back to where it started, or before the duration is known, is a click
+    if (drag.selecting && end - start >= MIN_LOOP) {
+      setLoop({ start, end });
+      setLoopEnabled(true);
+      player.seek(start);
+    } else {
+      player.seek(drag.startTime);
+    }
+  };
+
+  const setPointA = () => {
+    const time = player.getCurrentTime();
+    setLoop(prev => ({ start: time, end: prev && prev.end !== null && prev.end > time ? prev.end : null }));
+  };
+
+  const setPointB = () => {
+    const time = player.getCurrentTime();
+    if (!loop || time <= loop.start) return;
+    setLoop({ start: loop.start, end: time });
+    setLoopEnabled(true);
+  };
+
+  const clearLoop = () => {
+    setLoop(null);
+    setLoopEnabled(false);
+  };
+
+  const loopComplete = loop && loop.end !== null;
+
+  return (
+    <div className="transport-bar">
+      <div className="transport-controls">
+        <button
+          className={`btn btn-compact ${isPlaying ? 'btn-secondary' : 'btn-primary'}`}
+          onClick={onTogglePlay}
+          style={{fontSize: '0.7rem', padding: '0.4rem'}}
+        >
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <span className="transport-time">{formatTime(position)} / {formatTime(duration)}</span>
+
+        <div className="transport-group">
+          <button
+            className="btn btn-compact btn-secondary"
+            onClick={setPointA}
+            title="Set loop start at the playhead"
+            style={{fontSize: '0.7rem', padding: '0.4rem'}}
+          >
+            A
+          </button>
+          <button
+            className="btn btn-compact btn-secondary"
+            onClick={setPointB}
+            disabled={!loop}
+            title="Set loop end at the playhead"
+            style={{fontSize: '0.7rem', padding: '0.4rem'}}
+          >
+            B
+          </button>
+          <button
+            className={`btn btn-compact ${loopEnabled ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setLoopEnabled(prev => !prev)}
+            disabled={!loopComplete}
+            style={{fontSize: '0.7rem', padding: '0.4rem'}}
+          >
+            Loop
+          </button>
+          <button
+            className="btn btn-compact btn-secondary"
+            onClick={clearLoop}
+            disabled={!loop}
+            style={{fontSize: '0.7rem', padding: '0.4rem'}}
+          >
+            Clear
+          </button>
+          {loopComplete && (
+            <span className="transport-loop">{formatTime(loop.start)} - {formatTime(loop.end)}</span>
+          )}
+        </div>
+
+        <div className="transport-group">
+          <label className="transport-rate">
+            Speed
+            <input
+              type="range"
+              min="0.25"
+              max="1.5"
+              step="0.05"
+              value={rate}
+              onChange={(e) => setRate(Number(e.target.value))}
+              onDoubleClick={() => setRate(1)}
+              title="Double-click for normal speed"
+            />
+            <span>{Math.round(rate * 100)}%</span>
+          </label>
+          <label className="transport-pitch" title="Time-stretch so slowed-down notes keep their pitch">
+            <input
+              type="checkbox"
+              checked={preservePitch}
+              onChange={(e) => setPreservePitch(e.target.checked)}
+            />
+            Keep pitch
+          </label>
+        </div>
+      </div>
+      <canvas
+        ref={canvasRef}
+        className="transport-canvas"
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={() => { dragRef.current = null; }}
+        title="Click to seek, drag to select a loop"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import { useEffect, useRef, useState } from 'react';
+import { frequencyToNote, noteToFrequency } from './utils/audioUtils';
+import { tuningPresets, findNearestString } from './utils/tunings';
+import './Tuner.css';
+
+const IN_TUNE_CENTS = 5; // Within ±5 cents counts as in tune
+const SMOOTHING = 0.25; // Exponential smoothing factor for the cents reading
+const HOLD_TIME = 1000; // Keep showing the last reading this long after the signal drops (ms)
+
+// fftSize is the analysis window in use; above baseFftSize (the slider) when the preset's low strings need more
+export default function Tuner({ frequency, a4, onA4Change, presetId, onPresetChange, fftSize, baseFftSize }) {
+  const canvasRef = useRef(null);
+  const animationRef = useRef(null);
+  const [displayMode, setDisplayMode] = useState('needle'); // 'needle' or 'strobe'
+  const [reading, setReading] = useState(null);
+
+  // Latest values for the animation loop
+  const smoothedCentsRef = useRef(0);
+  const targetRef = useRef(null);
+  const lastSignalRef = useRef(0);
+  const strobePhaseRef = useRef(0);
+
+  const preset = tuningPresets.find(p => p.id === presetId) || tuningPresets[0];
+
+  // Work out the target note and smooth the cents deviation on every detection update
+  useEffect(() => {
+    if (!frequency || frequency <= 0) return;
+
+    let target;
+    let cents;
+    const string = findNearestString(frequency, preset, a4);
+    if (string) {
+      target = `${string.index + 1}:${string.note}`;
+      cents = string.cents;
+      setReading({ note: string.note, stringNumber: preset.strings.length - string.index, frequency: string.frequency });
+    } else {
+      const noteInfo = frequencyToNote(frequency, a4);
+      const noteFrequency = noteToFrequency(noteInfo.note, a4);
+      target = noteInfo.note;
+      cents = 1200 * Math.log2(frequency / noteFrequency);
+      setReading({ note: noteInfo.note, stringNumber: null, frequency: noteFrequency });
+    }
+
+    // Jump straight to the new reading when the target note changes
+    if (targetRef.current !== target) {
+      targetRef.current = target;
+      smoothedCentsRef.current = cents;
+    } else {
+      smoothedCentsRef.current += SMOOTHING * (cents - smoothedCentsRef.current);
+    }
+    lastSignalRef.current = performance.now();
+  }, [frequency, a4, preset]);
+
+  // Draw the needle or strobe display
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const setCanvasSize = () => {
+      canvas.width = canvas.offsetWidth;
+      canvas.height = canvas.offsetHeight;
+    };
+    setCanvasSize();
+    window.addEventListener('resize', setCanvasSize);
+
+    let lastTime = performance.now();
+    const draw = (now) => {
+      const dt = Math.min(0.1, (now - lastTime) / 1000);
+      lastTime = now;
+
+      const active = now - lastSignalRef.current < HOLD_TIME;
+      const cents = Math.max(-50, Math.min(50, smoothedCentsRef.current));
+
+      if (displayMode === 'strobe') {
+        drawStrobe(ctx, canvas, cents, active, dt);
+      } else {
+        drawNeedle(ctx, canvas, cents, active);
+      }
+
+      animationRef.current = requestAnimationFrame(draw);
+    };
+    animationRef.current = requestAnimationFrame(draw);
+
+    return () => {
+      if (animationRef.current) {
+        cancelAnimationFrame(animationRef.current);
+      }
+      window.removeEventListener('resize', setCanvasSize);
+    };
+  }, [displayMode]);
+
+  const drawNeedle = (ctx, canvas, cents, active) => {
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    const cx = width / 2;
+    const cy = height - 15;
+    const radius = Math.min(width / 2 - 20, height - 30);
+    const maxAngle = Math.PI / 3; // ±50 cents spans ±60 degrees
+    const angleFor = (c) => -Math.PI / 2 + (c / 50) * maxAngle;
+
+    // In-tune zone
+    ctx.strokeStyle = 'rgba(74, 222, 128, 0.4)';
+    ctx.lineWidth = 12;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, angleFor(-IN_TUNE_CENTS), angleFor(IN_TUNE_CENTS));
+    ctx.stroke();
+
+    // Tick marks every 10 cents
+    ctx.strokeStyle = '#94a3b8';
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '10px system-ui';
+    ctx.textAlign = 'center';
+    for (let c = -50; c <= 50; c += 10) {
+      const angle = angleFor(c);
+      const inner = c === 0 ? radius - 18 : radius - 10;
+      ctx.lineWidth = c === 0 ? 2 : 1;
+      ctx.beginPath();
+      ctx.moveTo(cx + Math.cos(angle) * inner, cy + Math.sin(angle) * inner);
+      ctx.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+      ctx.stroke();
+      if (c % 25 === 0 || c === -50 || c === 50) {
+        ctx.fillText(`${c > 0 ? '+' : ''}${c}`, cx + Math.cos(angle) * (radius + 12), cy + Math.sin(angle) * (radius + 12));
+      }
+    }
+
+    // Needle
+    const inTune = Math.abs(cents) <= IN_TUNE_CENTS;
+    const angle = angleFor(cents);
+    ctx.strokeStyle = !active ? 'rgba(148, 163, 184, 0.4)' : inTune ? '#4ade80' : '#f87171';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.lineTo(cx + Math.cos(angle) * (radius - 4), cy + Math.sin(angle) * (radius - 4));
+    ctx.stroke();
+
+    ctx.fillStyle = '#e2e8f0';
+    ctx.beginPath();
+    ctx.arc(cx, cy, 5, 0, Math.PI * 2);
+    ctx.fill();
+  };
+
+  const drawStrobe = (ctx, canvas, cents, active, dt) => {
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    // Bands drift right when sharp, left when flat, and stand still when in tune
+    if (active) {
+      strobePhaseRef.current = (strobePhaseRef.current + cents * dt * 4) % 40;
+    }
+
+    const inTune = Math.abs(cents) <= IN_TUNE_CENTS;
+    const rows = 3;
+    const rowHeight = height / rows;
+    for (let row = 0; row < rows; row++) {
+      const bandWidth = 20 / (row + 1);
+      const phase = (strobePhaseRef.current * (row + 1)) % (bandWidth * 2);
+      ctx.fillStyle = !active
+        ? 'rgba(148, 163, 184, 0.2)'
+        : inTune ? 'rgba(74, 222, 128, 0.8)' : 'rgba(251, 191, 36, 0.8)';
+      for (let x = phase - bandWidth * 2; x < width; x += bandWidth * 2) {
+        ctx.fillRect(x, row * rowHeight + 2, bandWidth, rowHeight - 4);
+      }
+    }
+  };
+
+  const cents = Math.round(smoothedCentsRef.current);
+  const inTune = Math.abs(cents) <= IN_TUNE_CENTS;
+
+  // Group presets by instrument for the select
+  const instruments = [...new Set(tuningPresets.map(p => p.instrument))];
+
+  return (
+    <div className="tuner-panel">
+      <div className="tuner-controls">
+        <select
+          className="song-select-compact"
+          value={preset.id}
+          onChange={(e) => onPresetChange(e.target.value)}
+        >
+          {instruments.map(instrument => (
+            <optgroup key={instrument} label={instrument}>
+              {tuningPresets.filter(p => p.instrument === instrument).map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <label className="tuner-a4">
+          A4 =
+          <input
+            type="number"
+            min="415"
+            max="466"
+            step="0.5"
+            value={a4}
+            onChange={(e) => onA4Change(Math.max(415, Math.min(466, Number(e.target.value) || 440)))}
+          />
+          Hz
+        </label>
+        <div className="tuner-mode-toggle">
+          <button
+            className={`btn-feature-toggle-compact ${displayMode === 'needle' ? 'active' : ''}`}
+            onClick={() => setDisplayMode('needle')}
+          >
+            Needle
+          </button>
+          <button
+            className={`btn-feature-toggle-compact ${displayMode === 'strobe' ? 'active' : ''}`}
+            onClick={() => setDisplayMode('strobe')}
+          >
+            Strobe
+          </button>
+        </div>
+      </div>
+
+      {preset.strings.length > 0 && (
+        <div className="tuner-strings">
+          {preset.strings.map((note, index) => (
+            <span
+              key={index}
+              className={`tuner-string ${reading && reading.stringNumber === preset.strings.length - index ? 'active' : ''}`}
+            >
+              {note}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {fftSize > baseFftSize && (
+        <div className="tuner-window">
+          Analysis window raised to {fftSize} samples so the low strings can be measured
+        </div>
+      )}
+
+      <canvas ref={canvasRef} className={`tuner-canvas ${displayMode}`} />
+
+      <div className="tuner-readout">
+        {reading ? (
+          <>
+            <div className={`tuner-note ${inTune ? 'in-tune' : ''}`}>
+              {reading.note}
+              {reading.stringNumber && <span className="tuner-string-number">string {reading.stringNumber}</span>}
+            </div>
+            <div className="tuner-cents">
+              {inTune ? 'In tune' : cents < 0 ? `♭ ${Math.abs(cents)} cents flat` : `♯ ${cents} cents sharp`}
+            </div>
+            <div className="tuner-frequency">
+              {frequency ? `${frequency.toFixed(2)} Hz` : '--'} (target {reading.frequency.toFixed(2)} Hz)
+            </div>
+          </>
+        ) : (
+          <div className="placeholder-compact">Play a note</div>
+        )}
+      </div>
+    </div>
+  );
+}
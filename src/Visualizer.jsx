@@ -1,10 +1,25 @@
 import { useEffect, useRef } from 'react'
+import { frequencyToNote } from './utils/audioUtils'
+import Spectrogram from './Spectrogram'
+import PianoRoll from './PianoRoll'
+import NoteCircle from './NoteCircle'
+import HarmonicsPanel from './HarmonicsPanel'
 import './Visualizer.css'
 
-function Visualizer({ analyser, currentNote, isActive }) {
+// Log-frequency spectrum axis and peak display
+const SPECTRUM_MIN_FREQUENCY = 20
+const SPECTRUM_MAX_FREQUENCY = 20000
+const HZ_TICKS = [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000]
+const PEAK_HOLD_DECAY = 0.5 // dB per frame the peak-hold line falls back
+const MAX_PEAK_LABELS = 3
+const MIN_PEAK_PROMINENCE = 10 // dB a peak must stand above the spectrum floor to be labelled
+
+function Visualizer({ analyser, currentNote, isActive, a4, pitchTrack, getTime, noteHistogram, noteWeighting, keyName }) {
   const waveformCanvasRef = useRef(null)
   const spectrumCanvasRef = useRef(null)
   const animationRef = useRef(null)
+  const a4Ref = useRef(a4)
+  a4Ref.current = a4 || 440
 
   useEffect(() => {
     if (!analyser || !isActive) {
@@ -34,20 +49,28 @@ function Visualizer({ analyser, currentNote, isActive }) {
 
     const bufferLength = analyser.frequencyBinCount
     const timeDataArray = new Uint8Array(bufferLength)
-    const freqDataArray = new Uint8Array(bufferLength)
 
     // Get sample rate for frequency calculations
     const sampleRate = analyser.context.sampleRate
 
+    // Spectrum data and per-column peak hold, reallocated when the FFT size or canvas width changes
+    const spectrum = { data: null, hold: null, key: '' }
+
     const draw = () => {
       analyser.getByteTimeDomainData(timeDataArray)
-      analyser.getByteFrequencyData(freqDataArray)
 
       // Draw Waveform
       drawWaveform(waveformCtx, waveformCanvas, timeDataArray, bufferLength)
 
-      // Draw Frequency Spectrum with frequency labels
-      drawSpectrum(spectrumCtx, spectrumCanvas, freqDataArray, bufferLength, sampleRate)
+      // Draw log-frequency spectrum with Hz/note ticks, peak hold and peak labels
+      const key = `${analyser.frequencyBinCount}/${spectrumCanvas.width}`
+      if (key !== spectrum.key) {
+        spectrum.key = key
+        spectrum.data = new Float32Array(analyser.frequencyBinCount)
+        spectrum.hold = new Float32Array(spectrumCanvas.width).fill(-Infinity)
+      }
+      analyser.getFloatFrequencyData(spectrum.data)
+      drawSpectrum(spectrumCtx, spectrumCanvas, spectrum, sampleRate, analyser.minDecibels, analyser.maxDecibels, a4Ref.current)
 
       animationRef.current = requestAnimationFrame(draw)
     }
@@ -60,7 +83,7 @@ function Visualizer({ analyser, currentNote, isActive }) {
       }
       window.removeEventListener('resize', setCanvasSizes)
     }
-  }, [analyser, currentNote, isActive])
+  }, [analyser, isActive])
 
   const drawWaveform = (ctx, canvas, dataArray, bufferLength) => {
     const width = canvas.width
@@ -93,50 +116,135 @@ function Visualizer({ analyser, currentNote, isActive }) {
     ctx.stroke()
   }
 
-  const drawSpectrum = (ctx, canvas, dataArray, bufferLength, sampleRate) => {
+  const drawSpectrum = (ctx, canvas, spectrum, sampleRate, minDb, maxDb, a4) => {
     const width = canvas.width
     const height = canvas.height
+    const { data, hold } = spectrum
+    const binHz = sampleRate / (data.length * 2)
+    const top = Math.min(SPECTRUM_MAX_FREQUENCY, sampleRate / 2)
+    const axisHeight = 14 // Hz labels along the bottom
+    const plotHeight = height - axisHeight
+    const logRange = Math.log(top / SPECTRUM_MIN_FREQUENCY)
+    const xFor = (frequency) => (Math.log(frequency / SPECTRUM_MIN_FREQUENCY) / logRange) * width
+    const frequencyAt = (x) => SPECTRUM_MIN_FREQUENCY * Math.exp((x / width) * logRange)
+    const yFor = (db) => plotHeight * (1 - Math.max(0, Math.min(1, (db - minDb) / (maxDb - minDb))))
 
     ctx.fillStyle = 'rgba(0, 0, 0, 0.2)'
     ctx.fillRect(0, 0, width, height)
 
-    const barWidth = (width / bufferLength) * 2.5
-    let x = 0
-
-    // Calculate Nyquist frequency (max frequency we can represent)
-    const nyquist = sampleRate / 2
+    // Octave gridlines at each C, labelled along the top
+    ctx.font = '9px system-ui'
+    ctx.textAlign = 'left'
+    for (let octave = 0; octave <= 9; octave++) {
+      const frequency = a4 * Math.pow(2, (octave * 12 + 12 - 69) / 12)
+      if (frequency < SPECTRUM_MIN_FREQUENCY || frequency > top) continue
+      const x = Math.round(xFor(frequency)) + 0.5
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.08)'
+      ctx.fillRect(x, 0, 1, plotHeight)
+      ctx.fillStyle = 'rgba(226, 232, 240, 0.5)'
+      ctx.fillText(`C${octave}`, x + 2, 9)
+    }
 
-    for (let i = 0; i < bufferLength; i++) {
-      const barHeight = (dataArray[i] / 255) * height
+    // Level per pixel column: strongest bin in the column, interpolated where a column is narrower than a bin
+    const levels = new Float32Array(width)
+    for (let x = 0; x < width; x++) {
+      const low = frequencyAt(x) / binHz
+      const high = frequencyAt(x + 1) / binHz
+      let db = -Infinity
+      if (Math.floor(high) > Math.floor(low)) {
+        for (let bin = Math.ceil(low); bin <= Math.min(Math.floor(high), data.length - 1); bin++) {
+          if (data[bin] > db) db = data[bin]
+        }
+      } else {
+        const position = (low + high) / 2
+        const i = Math.min(data.length - 2, Math.floor(position))
+        const t = position - i
+        db = data[i] * (1 - t) + data[i + 1] * t
+      }
+      levels[x] = db
+      hold[x] = Math.max(db, hold[x] - PEAK_HOLD_DECAY)
+    }
 
-      // Create gradient for bars
-      const gradient = ctx.createLinearGradient(0, height - barHeight, 0, height)
-      gradient.addColorStop(0, '#fa709a')
-      gradient.addColorStop(0.5, '#fee140')
-      gradient.addColorStop(1, '#667eea')
+    // Filled spectrum
+    const gradient = ctx.createLinearGradient(0, 0, 0, plotHeight)
+    gradient.addColorStop(0, '#fa709a')
+    gradient.addColorStop(0.5, '#fee140')
+    gradient.addColorStop(1, '#667eea')
+    ctx.fillStyle = gradient
+    ctx.beginPath()
+    ctx.moveTo(0, plotHeight)
+    for (let x = 0; x < width; x++) {
+      ctx.lineTo(x, yFor(levels[x]))
+    }
+    ctx.lineTo(width, plotHeight)
+    ctx.closePath()
+    ctx.fill()
 
-      ctx.fillStyle = gradient
-      ctx.fillRect(x, height - barHeight, barWidth, barHeight)
+    // Peak hold
+    ctx.strokeStyle = 'rgba(254, 225, 64, 0.8)'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    for (let x = 0; x < width; x++) {
+      const y = yFor(hold[x])
+      if (x === 0) {
+        ctx.moveTo(x, y)
+      } else {
+        ctx.lineTo(x, y)
+      }
+    }
+    ctx.stroke()
 
-      x += barWidth + 1
+    // Top peaks: local maxima well above the floor, refined by parabolic interpolation
+    // and at least a semitone apart, labelled with note name and cents
+    const floor = data.slice().sort()[Math.floor(data.length / 2)] // Median level
+    const candidates = []
+    const firstBin = Math.max(2, Math.ceil(SPECTRUM_MIN_FREQUENCY / binHz))
+    const lastBin = Math.min(data.length - 3, Math.floor(top / binHz))
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+      const db = data[bin]
+      if (db < floor + MIN_PEAK_PROMINENCE || db < minDb) continue
+      if (db > data[bin - 1] && db >= data[bin + 1] && db > data[bin - 2] && db >= data[bin + 2]) {
+        const a = data[bin - 1]
+        const c = data[bin + 1]
+        const offset = 0.5 * (a - c) / (a - 2 * db + c) || 0
+        candidates.push({ frequency: (bin + offset) * binHz, db })
+      }
+    }
+    candidates.sort((a, b) => b.db - a.db)
+    const peaks = []
+    for (const candidate of candidates) {
+      if (peaks.length >= MAX_PEAK_LABELS) break
+      if (peaks.every(peak => Math.abs(12 * Math.log2(candidate.frequency / peak.frequency)) >= 1)) {
+        peaks.push(candidate)
+      }
     }
 
-    // Draw frequency labels
-    ctx.fillStyle = '#e2e8f0'
-    ctx.font = '10px system-ui'
     ctx.textAlign = 'center'
+    peaks.forEach(peak => {
+      const note = frequencyToNote(peak.frequency, a4)
+      if (!note) return
+      const x = xFor(peak.frequency)
+      const y = yFor(peak.db)
+      ctx.fillStyle = '#ffffff'
+      ctx.beginPath()
+      ctx.arc(x, y, 2.5, 0, Math.PI * 2)
+      ctx.fill()
+      ctx.font = 'bold 10px system-ui'
+      const labelY = Math.max(20, y - 6)
+      ctx.fillText(`${note.note} ${note.cents > 0 ? '+' : ''}${note.cents}¢`, x, labelY)
+      ctx.font = '9px system-ui'
+      ctx.fillStyle = 'rgba(226, 232, 240, 0.7)'
+      ctx.fillText(`${peak.frequency.toFixed(1)}Hz`, x, labelY - 11)
+    })
 
-    // Label key frequencies
-    const labelFreqs = [100, 500, 1000, 2000, 5000, 10000]
-    labelFreqs.forEach(freq => {
-      if (freq <= nyquist) {
-        // Calculate position in spectrum
-        const binIndex = Math.floor((freq / nyquist) * bufferLength)
-        const xPos = (binIndex / bufferLength) * width * 0.4 // 0.4 accounts for barWidth multiplier
-
-        // Draw frequency label at bottom
-        ctx.fillText(`${freq >= 1000 ? (freq / 1000) + 'k' : freq}Hz`, xPos, height - 5)
-      }
+    // Hz ticks along the bottom
+    ctx.fillStyle = '#e2e8f0'
+    ctx.font = '10px system-ui'
+    HZ_TICKS.forEach(freq => {
+      if (freq > top) return
+      const x = xFor(freq)
+      ctx.fillRect(Math.round(x), plotHeight, 1, 3)
+      ctx.fillText(`${freq >= 1000 ? (freq / 1000) + 'k' : freq}Hz`, Math.min(width - 16, Math.max(16, x)), height - 2)
     })
   }
 
@@ -152,13 +260,18 @@ function Visualizer({ analyser, currentNote, isActive }) {
           <canvas ref={spectrumCanvasRef} className="viz-canvas"></canvas>
         </div>
       </div>
-      {/* Chromatic Circle temporarily hidden for compact layout */}
-      {/* <div className="viz-row">
-        <div className="viz-panel note-circle-panel">
-          <h4>Chromatic Circle</h4>
-          <canvas ref={noteCircleCanvasRef} className="viz-canvas note-circle"></canvas>
-        </div>
-      </div> */}
+      <div className="viz-row">
+        <PianoRoll track={pitchTrack} getTime={getTime} isActive={isActive} a4={a4} />
+      </div>
+      <div className="viz-row">
+        <HarmonicsPanel analyser={analyser} track={pitchTrack} getTime={getTime} isActive={isActive} a4={a4} />
+      </div>
+      <div className="viz-row">
+        <Spectrogram analyser={analyser} isActive={isActive} a4={a4} />
+      </div>
+      <div className="viz-row">
+        <NoteCircle currentNote={currentNote} noteHistogram={noteHistogram} noteWeighting={noteWeighting} keyName={keyName} />
+      </div>
     </div>
   )
 }
@@ -0,0 +1,79 @@
+// One analysis frame: squelch, pitch, note segmentation, key and chord; plus the beat/meter step run alongside it
+// Shared by the main-thread loop in App.jsx and the analysis worker so both engines behave the same
+import { frequencyToNote, computeChroma, noteWeight } from './audioUtils';
+import { rmsDb } from './levelMeter';
+
+// time is the frame's time in seconds on the audio clock, for the note tracker
+export function analyzeFrame({ pitchDetector, noteTracker, keyDetector, chordDetector }, settings, time) {
+  const {
+    squelchDb,
+    a4 = 440,
+    needsPitch,
+    noteDetectionEnabled,
+    keyDetectionEnabled,
+    keySource,
+    noteWeighting,
+    chordDetectionEnabled
+  } = settings;
+
+  // Squelch on the RMS level of the analysis window, in dBFS
+  const analyser = pitchDetector.getAnalyser();
+  const samples = new Float32Array(analyser.fftSize);
+  analyser.getFloatTimeDomainData(samples);
+  const level = rmsDb(samples);
+  const isAboveSquelch = level >= squelchDb;
+
+  const { frequency, clarity } = needsPitch && isAboveSquelch ? pitchDetector.analyze() : { frequency: -1, clarity: 0 };
+  const noteInfo = frequency > 0 ? frequencyToNote(frequency, a4) : null;
+  let key = null;
+  let chord = null;
+
+  // Finished notes, and the one still sounding
+  const noteEvents = noteTracker ? noteTracker.addFrame(time, noteInfo) : [];
+  const activeNote = noteTracker ? noteTracker.getActiveNote() : null;
+
+  // Key votes from finished notes, weighted by duration or one per note
+  if (noteDetectionEnabled && noteEvents.length > 0 && keyDetectionEnabled && keySource === 'notes') {
+    noteEvents.forEach(note => keyDetector.addNote(note.noteName, noteWeight(note, noteWeighting)));
+    key = keyDetector.detectKey();
+  }
+
+  // Chroma is shared by chord detection and chroma-fed key detection
+  const needsChroma = isAboveSquelch && (chordDetectionEnabled || (keyDetectionEnabled && keySource === 'chroma'));
+  const chroma = needsChroma ? computeChroma(analyser, a4) : null;
+
+  if (chroma && keyDetectionEnabled && keySource === 'chroma') {
+    keyDetector.addChroma(chroma);
+    key = keyDetector.detectKey();
+  }
+
+  // Chord detection uses the full spectrum, not the pitch tracker
+  if (chroma && chordDetectionEnabled && chordDetector) {
+    chordDetector.addChroma(chroma);
+    chord = chordDetector.detectChord();
+  }
+
+  return { level, frequency, clarity, noteInfo, noteEvents, activeNote, key, chord };
+}
+
+// Detector parameters from settings, { pitch, notes, key, beat } (see DEFAULT_DETECTOR_PARAMS in settingsStore.js)
+// Each group goes through its detector's configure(), which throws on invalid values
+export function applyDetectorParams({ pitchDetector, noteTracker, keyDetector, beatDetector }, params) {
+  if (!params) return;
+  if (pitchDetector && params.pitch) pitchDetector.configure(params.pitch);
+  if (noteTracker && params.notes) noteTracker.configure(params.notes);
+  if (keyDetector && params.key) keyDetector.configure(params.key);
+  if (beatDetector && params.beat) beatDetector.configure(params.beat);
+}
+
+// Beat tracking and meter for one detection tick (time in seconds on the audio clock)
+export function trackBeat({ beatDetector, meterDetector }, time) {
+  const beat = beatDetector.detectBeat(time * 1000);
+  if (beat.isBeat) {
+    meterDetector.addBeat(beat.beatTime);
+  }
+  if (beat.accent) {
+    meterDetector.addAccent(beat.accent.time, beat.accent.strength, beat.subdivision);
+  }
+  return { ...beat, meter: meterDetector.getMeter() };
+}
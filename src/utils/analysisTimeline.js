@@ -0,0 +1,51 @@
+// Time-indexed log of analysis results
+// Entries are appended in time order, so lookups can binary search
+
+export class AnalysisTimeline {
+  constructor(maxEntries = Infinity) {
+    this.maxEntries = maxEntries; // Further entries are dropped once this many are logged
+    this.clear();
+  }
+
+  clear() {
+    this.entries = []; // [{ time, ...data }], time in seconds
+  }
+
+  // Returns false when the timeline is full and the entry was dropped
+  add(time, data) {
+    if (this.isFull()) return false;
+    this.entries.push({ time, ...data });
+    return true;
+  }
+
+  isFull() {
+    return this.entries.length >= this.maxEntries;
+  }
+
+  // Latest entry at or before `time`, or null
+  getAt(time) {
+    let low = 0;
+    let high = this.entries.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.entries[mid].time <= time) {
+        found = this.entries[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  getEntries() {
+    return this.entries;
+  }
+
+  getDuration() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1].time : 0;
+  }
+}
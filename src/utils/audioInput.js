@@ -0,0 +1,72 @@
+// Microphone / audio interface selection and capture constraints for getUserMedia
+// Browsers default to echo cancellation, noise suppression and auto gain, which are tuned for
+// speech and smear pitch and transients, so ToneScope asks for them off unless switched on
+
+// Capture rates offered in the sidebar; null lets the device run at its native rate
+export const INPUT_SAMPLE_RATES = [null, 44100, 48000, 88200, 96000];
+
+// Browser voice processing that can be switched on or off per input
+export const INPUT_PROCESSING = [
+  { id: 'echoCancellation', name: 'Echo cancellation' },
+  { id: 'noiseSuppression', name: 'Noise suppression' },
+  { id: 'autoGainControl', name: 'Auto gain' }
+];
+
+export const DEFAULT_INPUT_SETTINGS = {
+  deviceId: '', // '' = the system default input
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+  sampleRate: null
+};
+
+export function buildAudioConstraints({ deviceId, echoCancellation, noiseSuppression, autoGainControl, sampleRate }) {
+  const audio = { echoCancellation, noiseSuppression, autoGainControl };
+  if (deviceId) audio.deviceId = { exact: deviceId };
+  if (sampleRate) audio.sampleRate = { ideal: sampleRate };
+  return { audio };
+}
+
+// Audio inputs as [{ deviceId, label }]
+// Labels stay empty until the page has been granted microphone access once, so those get numbered
+export async function listInputDevices() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    // Chrome's 'default' and 'communications' entries duplicate a real device; ids can be blank before access is granted
+    .filter(device => device.kind === 'audioinput' && device.deviceId && !['default', 'communications'].includes(device.deviceId))
+    .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Input ${i + 1}` }));
+}
+
+// Open the selected input. A selected device that is gone (unplugged, or from another browser profile)
+// falls back to the default input; fallback tells the caller so it can switch back when it returns
+export async function openInputStream(settings) {
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia(buildAudioConstraints(settings));
+    return { stream, fallback: false };
+  } catch (err) {
+    if (!settings.deviceId || !['OverconstrainedError', 'NotFoundError', 'NotReadableError'].includes(err.name)) {
+      throw err;
+    }
+    console.warn(`Input ${settings.deviceId} unavailable, using the default input:`, err);
+    const stream = await navigator.mediaDevices.getUserMedia(buildAudioConstraints({ ...settings, deviceId: '' }));
+    return { stream, fallback: true };
+  }
+}
+
+// What the browser actually gave us: { deviceId, label, sampleRate, channelCount, echoCancellation, ... }
+// Settings the browser doesn't report are left undefined
+export function describeInputStream(stream) {
+  const track = stream.getAudioTracks()[0];
+  if (!track) return null;
+  const settings = track.getSettings ? track.getSettings() : {};
+  return {
+    deviceId: settings.deviceId,
+    label: track.label,
+    sampleRate: settings.sampleRate,
+    channelCount: settings.channelCount,
+    echoCancellation: settings.echoCancellation,
+    noiseSuppression: settings.noiseSuppression,
+    autoGainControl: settings.autoGainControl
+  };
+}
@@ -0,0 +1,139 @@
+// Raw input recording via an AudioWorklet, saved as 16-bit PCM WAV
+const recorderProcessorUrl = new URL('../worklets/recorderProcessor.js', import.meta.url);
+
+// Contexts that already have the recorder processor registered
+const registeredContexts = new WeakSet();
+
+// Record whatever is connected to the recorder's input, sample for sample
+export class AudioRecorder {
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+    this.node = null;
+    this.chunks = []; // Arrays of per-channel Float32Arrays
+    this.isRecording = false;
+    this.startTime = 0; // audioContext.currentTime when recording started
+    this.onStopped = null;
+  }
+
+  async connect(sourceNode) {
+    if (!registeredContexts.has(this.audioContext)) {
+      await this.audioContext.audioWorklet.addModule(recorderProcessorUrl);
+      registeredContexts.add(this.audioContext);
+    }
+
+    this.node = new AudioWorkletNode(this.audioContext, 'recorder-processor');
+    this.node.port.onmessage = (event) => {
+      if (event.data.type === 'chunk') {
+        this.chunks.push(event.data.channels);
+      } else if (event.data.type === 'stopped' && this.onStopped) {
+        this.onStopped();
+      }
+    };
+
+    sourceNode.connect(this.node);
+    // The processor writes nothing, so this only keeps the node pulled by the graph
+    this.node.connect(this.audioContext.destination);
+  }
+
+  start() {
+    if (!this.node) {
+      throw new Error('Recorder not connected. Call connect() first.');
+    }
+
+    this.chunks = [];
+    this.startTime = this.audioContext.currentTime;
+    this.isRecording = true;
+    this.node.port.postMessage({ command: 'start' });
+  }
+
+  // Resolves with { blob, duration } once the processor has flushed its last chunk
+  stop() {
+    if (!this.isRecording) {
+      return Promise.resolve(null);
+    }
+
+    this.isRecording = false;
+    return new Promise(resolve => {
+      this.onStopped = () => {
+        this.onStopped = null;
+        const channels = mergeChunks(this.chunks);
+        const sampleRate = this.audioContext.sampleRate;
+        resolve({
+          blob: encodeWav(channels, sampleRate),
+          duration: channels.length > 0 ? channels[0].length / sampleRate : 0
+        });
+      };
+      this.node.port.postMessage({ command: 'stop' });
+    });
+  }
+
+  disconnect() {
+    if (this.node) {
+      this.node.port.onmessage = null;
+      this.node.disconnect();
+      this.node = null;
+    }
+    this.isRecording = false;
+  }
+}
+
+// Concatenate recorded chunks into one Float32Array per channel
+function mergeChunks(chunks) {
+  if (chunks.length === 0) return [];
+
+  const channelCount = chunks.reduce((count, chunk) => Math.max(count, chunk.length), 0);
+  const length = chunks.reduce((sum, chunk) => sum + chunk[0].length, 0);
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(length));
+
+  let offset = 0;
+  chunks.forEach(chunk => {
+    channels.forEach((channel, i) => {
+      // Repeat the first channel if a chunk arrived with fewer channels
+      channel.set(chunk[i] || chunk[0], offset);
+    });
+    offset += chunk[0].length;
+  });
+
+  return channels;
+}
+
+// Encode per-channel float samples as a 16-bit PCM WAV blob
+export function encodeWav(channels, sampleRate) {
+  const channelCount = Math.max(1, channels.length);
+  const frames = channels.length > 0 ? channels[0].length : 0;
+  const bytesPerSample = 2;
+  const dataSize = frames * channelCount * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channelCount * bytesPerSample, true); // Byte rate
+  view.setUint16(32, channelCount * bytesPerSample, true); // Block align
+  view.setUint16(34, 8 * bytesPerSample, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // Interleave and clamp to 16-bit
+  let offset = 44;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
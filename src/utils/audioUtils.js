@@ -1,11 +1,123 @@
-// Pitch detection using autocorrelation
+import { PITCH_ALGORITHMS, autocorrelation } from './pitchAlgorithms';
+
+// Tunable detector parameters: default, valid range and slider step for each detector's configure()
+// integer marks counts and milliseconds; the advanced settings panel is built from this table
+export const DETECTOR_PARAMS = {
+  pitch: {
+    rmsThreshold: {
+      label: 'RMS gate', default: 0.01, min: 0, max: 0.2, step: 0.001,
+      description: 'Frames quieter than this are treated as silence'
+    },
+    correlationThreshold: {
+      label: 'Autocorrelation threshold', default: 0.9, min: 0.5, max: 0.99, step: 0.01,
+      description: 'Correlation a lag needs to be taken as the period (Autocorrelation algorithm only)'
+    }
+  },
+  beat: {
+    historyWindow: {
+      label: 'Onset history', unit: 'ms', default: 1000, min: 200, max: 5000, step: 50, integer: true,
+      description: 'Spectral flux is compared against its average over this long'
+    },
+    beatThreshold: {
+      label: 'Onset threshold', unit: '×', default: 1.3, min: 1.05, max: 3, step: 0.05,
+      description: 'Flux must be this many times its average to count as an onset'
+    },
+    minTimeBetweenBeats: {
+      label: 'Shortest beat', unit: 'ms', default: 300, min: 150, max: 1000, step: 10, integer: true,
+      description: 'Shortest beat period (300 ms = 200 BPM)'
+    },
+    lowBandHz: {
+      label: 'Bass band', unit: 'Hz', default: 200, min: 50, max: 1000, step: 10, integer: true,
+      description: 'Flux below this counts twice in beat accents, so kicks outweigh hi-hats'
+    }
+  },
+  notes: {
+    hysteresisCents: {
+      label: 'Note hysteresis', unit: '¢', default: 30, min: 0, max: 50, step: 1, integer: true,
+      description: 'How far past the halfway point to a neighbouring note the pitch must go before the note changes'
+    },
+    onsetTime: {
+      label: 'Note onset', unit: 'ms', default: 40, min: 0, max: 300, step: 10, integer: true,
+      description: 'A new pitch must hold this long before it starts a note'
+    },
+    minDuration: {
+      label: 'Shortest note', unit: 'ms', default: 80, min: 0, max: 500, step: 10, integer: true,
+      description: 'Notes shorter than this are dropped as blips'
+    },
+    releaseTime: {
+      label: 'Note release', unit: 'ms', default: 80, min: 0, max: 500, step: 10, integer: true,
+      description: 'Dropouts shorter than this are bridged instead of ending the note'
+    }
+  },
+  key: {
+    maxHistory: {
+      label: 'Note window', unit: 'notes', default: 50, min: 10, max: 500, step: 1, integer: true,
+      description: 'Finished notes (see Notes above) the key is estimated from'
+    },
+    maxChromaHistory: {
+      label: 'Chroma window', unit: 'frames', default: 120, min: 10, max: 600, step: 10, integer: true,
+      description: 'Chroma frames the key is estimated from (120 is about 2 seconds at 60 Hz)'
+    },
+    maxKeyVotes: {
+      label: 'Consensus window', unit: 'votes', default: 30, min: 5, max: 200, step: 1, integer: true,
+      description: 'Recent key readings the consensus key is voted from'
+    }
+  }
+};
+
+export function getDefaultParams(detector) {
+  const params = {};
+  Object.entries(DETECTOR_PARAMS[detector]).forEach(([name, param]) => {
+    params[name] = param.default;
+  });
+  return params;
+}
+
+// Throws on unknown names and on values outside DETECTOR_PARAMS, before anything is changed
+function validateParams(detector, params) {
+  const table = DETECTOR_PARAMS[detector];
+  Object.entries(params).forEach(([name, value]) => {
+    const param = table[name];
+    if (!param) {
+      throw new Error(`Unknown ${detector} parameter: ${name}`);
+    }
+    if (typeof value !== 'number' || !(value >= param.min && value <= param.max)) {
+      throw new Error(`${detector} parameter ${name} must be between ${param.min} and ${param.max}: ${value}`);
+    }
+    if (param.integer && !Number.isInteger(value)) {
+      throw new Error(`${detector} parameter ${name} must be a whole number: ${value}`);
+    }
+  });
+}
+
+const pickParams = (detector, source) => {
+  const params = {};
+  Object.keys(DETECTOR_PARAMS[detector]).forEach(name => {
+    params[name] = source[name];
+  });
+  return params;
+};
+
+// Pitch detection with a selectable algorithm (see PITCH_ALGORITHMS)
 export class PitchDetector {
-  constructor(audioContext, fftSize = 2048) {
+  constructor(audioContext, fftSize = 2048, algorithm = 'yin') {
     this.audioContext = audioContext;
     this.analyser = audioContext.createAnalyser();
     this.analyser.fftSize = fftSize;
     this.bufferLength = this.analyser.fftSize;
     this.buffer = new Float32Array(this.bufferLength);
+    Object.assign(this, getDefaultParams('pitch')); // rmsThreshold, correlationThreshold
+    this.setAlgorithm(algorithm);
+  }
+
+  // Change tunable parameters (DETECTOR_PARAMS.pitch); takes effect on the next frame
+  configure(params) {
+    validateParams('pitch', params);
+    Object.assign(this, params);
+  }
+
+  getConfig() {
+    return pickParams('pitch', this);
   }
 
   setFftSize(fftSize) {
@@ -14,66 +126,39 @@ export class PitchDetector {
     this.buffer = new Float32Array(this.bufferLength);
   }
 
-  // Autocorrelation algorithm for pitch detection
-  autoCorrelate(buffer, sampleRate) {
-    let size = buffer.length;
-    let maxSamples = Math.floor(size / 2);
-    let bestOffset = -1;
-    let bestCorrelation = 0;
-    let rms = 0;
-
-    // Calculate RMS (root mean square) to detect if there's enough signal
-    for (let i = 0; i < size; i++) {
-      let val = buffer[i];
-      rms += val * val;
+  setAlgorithm(algorithm) {
+    if (!PITCH_ALGORITHMS[algorithm]) {
+      throw new Error(`Unknown pitch algorithm: ${algorithm}`);
     }
-    rms = Math.sqrt(rms / size);
-
-    // Not enough signal
-    if (rms < 0.01) return -1;
-
-    // Find the best correlation
-    let lastCorrelation = 1;
-    for (let offset = 1; offset < maxSamples; offset++) {
-      let correlation = 0;
-
-      for (let i = 0; i < maxSamples; i++) {
-        correlation += Math.abs(buffer[i] - buffer[i + offset]);
-      }
-
-      correlation = 1 - correlation / maxSamples;
-
-      if (correlation > 0.9 && correlation > lastCorrelation) {
-        let foundGoodCorrelation = false;
-
-        if (correlation > bestCorrelation) {
-          bestCorrelation = correlation;
-          bestOffset = offset;
-          foundGoodCorrelation = true;
-        }
-
-        if (foundGoodCorrelation) {
-          // Apply a parabolic interpolation for better accuracy
-          let shift = (buffer[bestOffset + 1] - buffer[bestOffset - 1]) / 
-                      (2 * (2 * buffer[bestOffset] - buffer[bestOffset - 1] - buffer[bestOffset + 1]));
-          return sampleRate / (bestOffset + shift);
-        }
-      }
+    this.algorithm = algorithm;
+  }
 
-      lastCorrelation = correlation;
+  getRms(buffer) {
+    let rms = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      rms += buffer[i] * buffer[i];
     }
+    return Math.sqrt(rms / buffer.length);
+  }
 
-    if (bestCorrelation > 0.01) {
-      return sampleRate / bestOffset;
-    }
+  // Original autocorrelation detector, kept as the 'autocorrelation' algorithm
+  autoCorrelate(buffer, sampleRate) {
+    if (this.getRms(buffer) < this.rmsThreshold) return -1;
+    return autocorrelation(buffer, sampleRate, { threshold: this.correlationThreshold }).frequency;
+  }
 
-    return -1;
+  // Returns { frequency, clarity }; frequency is -1 for silent or unpitched frames
+  analyze() {
+    this.analyser.getFloatTimeDomainData(this.buffer);
+    if (this.getRms(this.buffer) < this.rmsThreshold) {
+      return { frequency: -1, clarity: 0 };
+    }
+    const options = this.algorithm === 'autocorrelation' ? { threshold: this.correlationThreshold } : undefined;
+    return PITCH_ALGORITHMS[this.algorithm].detect(this.buffer, this.audioContext.sampleRate, options);
   }
 
   detectPitch() {
-    this.analyser.getFloatTimeDomainData(this.buffer);
-    const frequency = this.autoCorrelate(this.buffer, this.audioContext.sampleRate);
-    return frequency;
+    return this.analyze().frequency;
   }
 
   getAnalyser() {
@@ -82,38 +167,280 @@ export class PitchDetector {
 }
 
 // Convert frequency to musical note
-export function frequencyToNote(frequency) {
+// a4 is the reference pitch in Hz; cents is the signed deviation (-50..+50) from the nearest note
+export function frequencyToNote(frequency, a4 = 440) {
   if (frequency <= 0) return null;
 
   const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const A4 = 440;
-  const C0 = A4 * Math.pow(2, -4.75); // C0 frequency
+  const C0 = a4 * Math.pow(2, -4.75); // C0 frequency
   
   const halfSteps = 12 * Math.log2(frequency / C0);
-  const octave = Math.floor(halfSteps / 12);
-  const noteIndex = Math.round(halfSteps % 12);
+  const nearest = Math.round(halfSteps);
+  const octave = Math.floor(nearest / 12);
+  const noteIndex = ((nearest % 12) + 12) % 12;
   
   const noteName = noteNames[noteIndex];
-  const cents = Math.round((halfSteps % 1) * 100);
+  const cents = Math.round((halfSteps - nearest) * 100);
   
   return {
     note: `${noteName}${octave}`,
     noteName,
     octave,
+    midi: nearest + 12, // C0 is MIDI note 12
     frequency: frequency.toFixed(2),
     cents
   };
 }
 
-// Detect musical key from a collection of notes
-export class KeyDetector {
+// How a finished note counts towards the note histogram and key detection: its length in seconds, or once
+export const NOTE_WEIGHTINGS = ['duration', 'event'];
+
+export function noteWeight(note, weighting = 'duration') {
+  return weighting === 'event' ? 1 : note.duration;
+}
+
+// Segments the frame-by-frame pitch (frequencyToNote readings) into discrete notes
+// A pitch has to hold for onsetTime to start a note, and the note only changes once the pitch goes
+// hysteresisCents past the halfway point to a neighbour, so vibrato and drift don't split it.
+// Dropouts up to releaseTime are bridged; notes shorter than minDuration are dropped
+export class NoteTracker {
   constructor() {
+    Object.assign(this, getDefaultParams('notes')); // hysteresisCents, onsetTime, minDuration, releaseTime (ms)
+    this.clear();
+  }
+
+  // Change tunable parameters (DETECTOR_PARAMS.notes); the note being tracked carries on
+  configure(params) {
+    validateParams('notes', params);
+    Object.assign(this, params);
+  }
+
+  getConfig() {
+    return pickParams('notes', this);
+  }
+
+  clear() {
+    this.activeNote = null; // Note being held
+    this.candidate = null; // Different pitch waiting out onsetTime
+  }
+
+  // Feed one frame: time in seconds, noteInfo from frequencyToNote or null for no pitch
+  // Returns the notes that finished with this frame (usually none):
+  // [{ note, noteName, octave, midi, start, duration, frequency, cents, centsDeviation }]
+  addFrame(time, noteInfo) {
+    const events = [];
+    const release = this.releaseTime / 1000;
+
+    if (!noteInfo) {
+      if (this.activeNote && time - this.activeNote.lastSeen > release) {
+        this.endNote(this.activeNote.lastSeen, events);
+      }
+      if (this.candidate && time - this.candidate.lastSeen > release) {
+        this.candidate = null;
+      }
+      return events;
+    }
+
+    const active = this.activeNote;
+    if (active && this.accepts(active, noteInfo)) {
+      this.addReading(active, time, noteInfo);
+      this.candidate = null;
+      return events;
+    }
+
+    const candidate = this.candidate;
+    if (candidate && this.accepts(candidate, noteInfo)) {
+      this.addReading(candidate, time, noteInfo);
+    } else {
+      this.candidate = this.startReading(time, noteInfo);
+    }
+
+    if (time - this.candidate.start >= this.onsetTime / 1000) {
+      if (active) this.endNote(this.candidate.start, events);
+      this.activeNote = this.candidate;
+      this.candidate = null;
+    }
+    return events;
+  }
+
+  // End the note being held, e.g. when analysis stops
+  flush() {
+    const events = [];
+    if (this.activeNote) this.endNote(this.activeNote.lastSeen, events);
+    this.candidate = null;
+    return events;
+  }
+
+  // The note being held so far, shaped like a finished note, or null
+  getActiveNote() {
+    return this.activeNote ? this.describe(this.activeNote, this.activeNote.lastSeen) : null;
+  }
+
+  // Cents of a reading from a tracked note's centre
+  offsetCents(reading, noteInfo) {
+    return (noteInfo.midi - reading.midi) * 100 + noteInfo.cents;
+  }
+
+  accepts(reading, noteInfo) {
+    return Math.abs(this.offsetCents(reading, noteInfo)) <= 50 + this.hysteresisCents;
+  }
+
+  startReading(time, noteInfo) {
+    const { note, noteName, octave, midi } = noteInfo;
+    const reading = { note, noteName, octave, midi, start: time, lastSeen: time, count: 0, frequencySum: 0, centsSum: 0, centsSquareSum: 0 };
+    this.addReading(reading, time, noteInfo);
+    return reading;
+  }
+
+  addReading(reading, time, noteInfo) {
+    const cents = this.offsetCents(reading, noteInfo);
+    reading.lastSeen = time;
+    reading.count++;
+    reading.frequencySum += parseFloat(noteInfo.frequency);
+    reading.centsSum += cents;
+    reading.centsSquareSum += cents * cents;
+  }
+
+  describe(reading, endTime) {
+    const meanCents = reading.centsSum / reading.count;
+    const variance = Math.max(0, reading.centsSquareSum / reading.count - meanCents * meanCents);
+    return {
+      note: reading.note,
+      noteName: reading.noteName,
+      octave: reading.octave,
+      midi: reading.midi,
+      start: reading.start,
+      duration: endTime - reading.start,
+      frequency: reading.frequencySum / reading.count, // Average over the note
+      cents: Math.round(meanCents),
+      centsDeviation: Math.round(Math.sqrt(variance) * 10) / 10 // Spread of the pitch around its average; lower is steadier
+    };
+  }
+
+  endNote(endTime, events) {
+    const note = this.describe(this.activeNote, endTime);
+    if (note.duration >= this.minDuration / 1000) {
+      events.push(note);
+    }
+    this.activeNote = null;
+  }
+}
+
+// Convert a note in scientific pitch notation (e.g. "A4", "C#3") to its frequency
+export function noteToFrequency(note, a4 = 440) {
+  const match = /^([A-G]#?)(-?\d+)$/.exec(note);
+  if (!match) return null;
+
+  const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+  const midi = (parseInt(match[2], 10) + 1) * 12 + noteNames.indexOf(match[1]);
+  return a4 * Math.pow(2, (midi - 69) / 12);
+}
+
+// Major and minor key profiles, one weight per scale degree starting at the tonic
+export const KEY_PROFILES = {
+  krumhansl: {
+    name: 'Krumhansl-Schmuckler',
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+  },
+  temperley: {
+    name: 'Temperley',
+    major: [5.0, 2.0, 3.5, 2.0, 4.5, 4.0, 2.0, 4.5, 2.0, 3.5, 1.5, 4.0],
+    minor: [5.0, 2.0, 3.5, 4.5, 2.0, 4.0, 2.0, 4.5, 3.5, 2.0, 1.5, 4.0]
+  },
+  albrecht: {
+    name: 'Albrecht-Shanahan',
+    major: [0.238, 0.006, 0.111, 0.006, 0.137, 0.094, 0.016, 0.214, 0.009, 0.080, 0.008, 0.081],
+    minor: [0.220, 0.006, 0.104, 0.123, 0.019, 0.103, 0.012, 0.214, 0.062, 0.022, 0.061, 0.052]
+  }
+};
+
+// Where KeyDetector gets its pitch-class distribution from
+export const KEY_SOURCES = ['notes', 'chroma'];
+
+// Scales tested by detectScale, as semitones above the tonic
+export const SCALES = {
+  ionian: { name: 'Major (Ionian)', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  phrygian: { name: 'Phrygian', intervals: [0, 1, 3, 5, 7, 8, 10] },
+  lydian: { name: 'Lydian', intervals: [0, 2, 4, 6, 7, 9, 11] },
+  mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+  aeolian: { name: 'Natural minor (Aeolian)', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  locrian: { name: 'Locrian', intervals: [0, 1, 3, 5, 6, 8, 10] },
+  harmonicMinor: { name: 'Harmonic minor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+  melodicMinor: { name: 'Melodic minor', intervals: [0, 2, 3, 5, 7, 9, 11] },
+  majorPentatonic: { name: 'Major pentatonic', intervals: [0, 2, 4, 7, 9] },
+  minorPentatonic: { name: 'Minor pentatonic', intervals: [0, 3, 5, 7, 10] },
+  blues: { name: 'Blues', intervals: [0, 3, 5, 6, 7, 10] }
+};
+
+const SCALE_OUTSIDE_WEIGHT = 0.05; // Share of a scale's template spread over the notes outside it
+const SCALE_OUTSIDE_MIN_SHARE = 0.03; // Observed notes below this share aren't reported as outside
+
+// Best-fitting scale and tonic for a 12-bin pitch-class distribution (C first, any scale), or null if empty
+// Each scale is a template: most weight on its notes, with the tonic and fifth emphasised so the modes of one
+// note set (C Ionian, D Dorian, E Phrygian...) can be told apart, and a little outside it so stray notes don't
+// rule a scale out. The template with the highest log-likelihood of the observed distribution wins; that way
+// a smaller scale (pentatonic) wins when nothing falls outside it and a larger one when notes do.
+// Returns { name, tonic, scale, notes, fit, outside: [{ note, share }], alternatives: [{ name, fit }] }
+// with fit and share in percent of the distribution
+export function detectScale(profile) {
+  const total = profile ? profile.reduce((a, b) => a + b, 0) : 0;
+  if (total <= 0) return null;
+  const shares = profile.map(weight => weight / total);
+
+  const candidates = [];
+  Object.entries(SCALES).forEach(([id, { name, intervals }]) => {
+    const emphasis = intervals.map(interval => (interval === 0 ? 3 : interval === 7 ? 2 : 1));
+    const emphasisTotal = emphasis.reduce((a, b) => a + b, 0);
+    const outsideWeight = SCALE_OUTSIDE_WEIGHT / (12 - intervals.length);
+
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const template = new Array(12).fill(outsideWeight);
+      intervals.forEach((interval, i) => {
+        template[(tonic + interval) % 12] = ((1 - SCALE_OUTSIDE_WEIGHT) * emphasis[i]) / emphasisTotal;
+      });
+
+      let score = 0;
+      let inside = 0;
+      shares.forEach((share, pc) => {
+        score += share * Math.log(template[pc]);
+        if (template[pc] > outsideWeight) inside += share;
+      });
+      candidates.push({ id, name: `${NOTE_NAMES[tonic]} ${name}`, tonic, score, fit: Math.round(inside * 100) });
+    }
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const best = candidates[0];
+  const pitchClasses = SCALES[best.id].intervals.map(interval => (best.tonic + interval) % 12);
+  return {
+    name: best.name,
+    tonic: NOTE_NAMES[best.tonic],
+    scale: best.id,
+    notes: pitchClasses.map(pc => NOTE_NAMES[pc]),
+    fit: best.fit,
+    outside: shares
+      .map((share, pc) => ({ note: NOTE_NAMES[pc], share }))
+      .filter(({ share }, pc) => share >= SCALE_OUTSIDE_MIN_SHARE && !pitchClasses.includes(pc))
+      .sort((a, b) => b.share - a.share)
+      .map(({ note, share }) => ({ note, share: Math.round(share * 100) })),
+    alternatives: candidates.slice(1, 4).map(({ name, fit }) => ({ name, fit }))
+  };
+}
+
+// Detect musical key from a collection of notes or from spectral chroma energy
+export class KeyDetector {
+  constructor({ profile = 'krumhansl', source = 'notes' } = {}) {
     this.noteHistory = [];
-    this.maxHistory = 50; // Keep last 50 detected notes
     
-    // Major and minor key profiles (Krumhansl-Schmuckler)
-    this.majorProfile = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
-    this.minorProfile = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+    // Sliding window of chroma frames for the 'chroma' source
+    this.chromaHistory = [];
+    
+    Object.assign(this, getDefaultParams('key')); // maxHistory, maxChromaHistory, maxKeyVotes
+    
+    this.setProfile(profile);
+    this.setSource(source);
     
     // Track key detections over time - CUMULATIVE (never resets)
     this.keyVotesCumulative = {}; // Lifetime votes: { "C Major": count, "D Minor": count, ... }
@@ -121,7 +448,6 @@ export class KeyDetector {
     
     // Track recent detections for consensus (rolling window)
     this.keyVotes = {}; // { "C Major": count, "D Minor": count, ... }
-    this.maxKeyVotes = 30; // Keep last 30 key detections
     this.keyVoteHistory = []; // Array to maintain order
     
     // Initialize all 24 possible keys with 0 votes
@@ -132,33 +458,90 @@ export class KeyDetector {
     });
   }
 
-  addNote(noteName) {
+  setProfile(profile) {
+    const weights = KEY_PROFILES[profile];
+    if (!weights) {
+      throw new Error(`Unknown key profile: ${profile}`);
+    }
+    this.profile = profile;
+    this.majorProfile = [...weights.major];
+    this.minorProfile = [...weights.minor];
+  }
+
+  setSource(source) {
+    if (!KEY_SOURCES.includes(source)) {
+      throw new Error(`Unknown key source: ${source}`);
+    }
+    this.source = source;
+  }
+
+  // Change tunable parameters (DETECTOR_PARAMS.key); shrunk windows are trimmed as new data arrives
+  configure(params) {
+    validateParams('key', params);
+    Object.assign(this, params);
+  }
+
+  getConfig() {
+    return pickParams('key', this);
+  }
+
+  // weight: how much the note counts (see noteWeight), e.g. its duration
+  addNote(noteName, weight = 1) {
     if (!noteName) return;
     
-    this.noteHistory.push(noteName);
-    if (this.noteHistory.length > this.maxHistory) {
+    this.noteHistory.push({ noteName, weight });
+    while (this.noteHistory.length > this.maxHistory) { // maxHistory can shrink while running
       this.noteHistory.shift();
     }
   }
 
-  detectKey() {
-    if (this.noteHistory.length < 10) {
-      return { key: 'Collecting data...', confidence: 0 };
+  // Add a 12-bin chroma frame (see computeChroma); louder frames carry more weight
+  addChroma(chroma) {
+    if (!chroma) return;
+    
+    this.chromaHistory.push(chroma);
+    while (this.chromaHistory.length > this.maxChromaHistory) {
+      this.chromaHistory.shift();
     }
+  }
 
-    // Count note occurrences
-    const noteCounts = new Array(12).fill(0);
-    const noteMap = { 'C': 0, 'C#': 1, 'D': 2, 'D#': 3, 'E': 4, 'F': 5, 'F#': 6, 'G': 7, 'G#': 8, 'A': 9, 'A#': 10, 'B': 11 };
+  // Pitch-class distribution (sums to 1) from the active source, or null if not enough data yet
+  getPitchClassProfile() {
+    const weights = new Array(12).fill(0);
     
-    this.noteHistory.forEach(note => {
-      if (noteMap[note] !== undefined) {
-        noteCounts[noteMap[note]]++;
-      }
-    });
+    if (this.source === 'chroma') {
+      if (this.chromaHistory.length < 10) return null;
+      
+      this.chromaHistory.forEach(frame => {
+        frame.forEach((energy, i) => {
+          weights[i] += energy;
+        });
+      });
+    } else {
+      if (this.noteHistory.length < 10) return null;
+      
+      // Sum note weights
+      this.noteHistory.forEach(({ noteName, weight }) => {
+        const index = NOTE_NAMES.indexOf(noteName);
+        if (index !== -1) {
+          weights[index] += weight;
+        }
+      });
+    }
 
     // Normalize
-    const total = noteCounts.reduce((a, b) => a + b, 0);
-    const noteProfile = noteCounts.map(count => count / total);
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (total === 0) return null;
+    return weights.map(weight => weight / total);
+  }
+
+  detectKey() {
+    const noteProfile = this.getPitchClassProfile();
+    if (!noteProfile) {
+      return { key: 'Collecting data...', confidence: 0 };
+    }
+
+    const noteMap = { 'C': 0, 'C#': 1, 'D': 2, 'D#': 3, 'E': 4, 'F': 5, 'F#': 6, 'G': 7, 'G#': 8, 'A': 9, 'A#': 10, 'B': 11 };
 
     // Calculate correlation with each key
     let bestKey = '';
@@ -186,17 +569,15 @@ export class KeyDetector {
       }
     });
 
-    // Normalize confidence to 0-100 range
-    // The correlation value needs to be normalized based on the max possible correlation
-    const maxCorrelation = this.getMaxCorrelation();
-    const normalizedConfidence = (bestCorrelation / maxCorrelation) * 100;
+    // Confidence is the correlation coefficient itself, on the same 0-100 scale for every profile and mode
+    const normalizedConfidence = bestCorrelation * 100;
     
     // Track this detection as a vote in BOTH cumulative and rolling window
     this.keyVotesCumulative[bestKey]++;
     this.totalVotes++;
     
     this.keyVoteHistory.push(bestKey);
-    if (this.keyVoteHistory.length > this.maxKeyVotes) {
+    while (this.keyVoteHistory.length > this.maxKeyVotes) {
       this.keyVoteHistory.shift();
     }
     
@@ -226,6 +607,11 @@ export class KeyDetector {
       }))
       .sort((a, b) => b.confidence - a.confidence); // Sort by vote percentage descending
     
+    // And from the rolling window, which follows a change of key
+    const recentHistogram = Object.entries(this.keyVotes)
+      .map(([key, votes]) => ({ key, confidence: Math.round((votes / this.keyVoteHistory.length) * 100) }))
+      .sort((a, b) => b.confidence - a.confidence);
+    
     const consensusConfidence = this.keyVoteHistory.length > 0 
       ? Math.round((maxVotes / this.keyVoteHistory.length) * 100)
       : 0;
@@ -235,26 +621,36 @@ export class KeyDetector {
       confidence: Math.round(Math.max(0, Math.min(100, normalizedConfidence))),
       consensusKey, // Most voted key
       consensusConfidence,
-      histogram: voteHistogram // Show vote counts, not correlations
+      histogram: voteHistogram, // Show vote counts, not correlations
+      recentHistogram, // Votes over the last maxKeyVotes readings only
+      scale: detectScale(noteProfile) // Best-fitting scale or mode over the same window
     };
   }
 
+  // Pearson correlation (-1..1) of a pitch-class distribution with a key profile rotated to the tonic at offset
+  // Unlike a plain dot product it doesn't depend on the profile's scale, so profiles whose weights sum
+  // differently (Albrecht vs Krumhansl, or a profile's minor vs its major) score alike
   correlate(profile1, profile2, offset) {
-    let sum = 0;
+    const rotated = profile1.map((_, i) => profile2[(i - offset + 12) % 12]);
+    const mean1 = profile1.reduce((a, b) => a + b, 0) / 12;
+    const mean2 = rotated.reduce((a, b) => a + b, 0) / 12;
+    let covariance = 0;
+    let variance1 = 0;
+    let variance2 = 0;
     for (let i = 0; i < 12; i++) {
-      sum += profile1[i] * profile2[(i + offset) % 12];
+      const d1 = profile1[i] - mean1;
+      const d2 = rotated[i] - mean2;
+      covariance += d1 * d2;
+      variance1 += d1 * d1;
+      variance2 += d2 * d2;
     }
-    return sum;
-  }
-
-  getMaxCorrelation() {
-    // Calculate the maximum possible correlation value
-    // This is the sum of the profile values (for normalization)
-    return this.majorProfile.reduce((a, b) => a + b, 0);
+    const denominator = Math.sqrt(variance1 * variance2);
+    return denominator > 0 ? covariance / denominator : 0;
   }
 
   clear() {
     this.noteHistory = [];
+    this.chromaHistory = [];
     this.keyVotes = {};
     this.keyVoteHistory = [];
     this.totalVotes = 0;
@@ -268,15 +664,274 @@ export class KeyDetector {
   }
 }
 
-// Beat detection using energy-based algorithm
+// Chromatic note names, indexed by pitch class (C = 0)
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Scale of each key mode: semitones above the tonic and the roman numeral of each degree's triad
+export const KEY_SCALES = {
+  Major: { intervals: [0, 2, 4, 5, 7, 9, 11], numerals: ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°'] },
+  Minor: { intervals: [0, 2, 3, 5, 7, 8, 10], numerals: ['i', 'ii°', 'III', 'iv', 'v', 'VI', 'VII'] }
+};
+
+// Scale degrees of a key name as returned by KeyDetector (e.g. "A Minor")
+// Returns { tonic, mode, degrees: [{ pitchClass, noteName, numeral }] }, or null for anything else
+// ("Collecting data...", flat spellings from imported sessions)
+export function getKeyScale(keyName) {
+  if (typeof keyName !== 'string') return null;
+  const [tonicName, mode] = keyName.split(' ');
+  const tonic = NOTE_NAMES.indexOf(tonicName);
+  const scale = Object.prototype.hasOwnProperty.call(KEY_SCALES, mode) ? KEY_SCALES[mode] : null;
+  if (tonic === -1 || !scale) return null;
+
+  const degrees = scale.intervals.map((interval, i) => {
+    const pitchClass = (tonic + interval) % 12;
+    return { pitchClass, noteName: NOTE_NAMES[pitchClass], numeral: scale.numerals[i] };
+  });
+  return { tonic, mode, degrees };
+}
+
+// Build a 12-bin chromagram (C..B) from an analyser's frequency data
+// Each FFT bin's linear magnitude is added to the pitch class nearest its centre frequency
+export function computeChroma(analyser, a4 = 440, minFrequency = 55, maxFrequency = 5000) {
+  const binCount = analyser.frequencyBinCount;
+  const spectrum = new Float32Array(binCount);
+  analyser.getFloatFrequencyData(spectrum);
+
+  const binWidth = analyser.context.sampleRate / analyser.fftSize;
+  const minBin = Math.max(1, Math.floor(minFrequency / binWidth));
+  const maxBin = Math.min(binCount - 1, Math.ceil(maxFrequency / binWidth));
+  const chroma = new Array(12).fill(0);
+
+  for (let i = minBin; i <= maxBin; i++) {
+    const magnitude = Math.pow(10, spectrum[i] / 20); // dB -> linear (-Infinity -> 0)
+    const midi = 69 + 12 * Math.log2((i * binWidth) / a4);
+    const pitchClass = ((Math.round(midi) % 12) + 12) % 12;
+    chroma[pitchClass] += magnitude;
+  }
+
+  return chroma;
+}
+
+// Measure harmonics 1..maxHarmonic of a fundamental in an analyser's spectrum
+// Each partial is the strongest bin within ±0.4 × fundamental of where it is expected, refined by parabolic interpolation;
+// the expected spacing follows the partials found so far, so stretched (inharmonic) series stay in the window.
+// a partial under the floor (median level + minProminence dB, and at least the analyser's minDecibels) is reported with frequency and db null
+// Returns { fundamental, harmonics: [{ number, frequency, db, relativeDb }], inharmonicity, centroid, oddEvenRatio } or null
+export function analyzeHarmonics(analyser, fundamental, maxHarmonic = 16, minProminence = 6) {
+  if (!fundamental || fundamental <= 0) return null;
+
+  const binCount = analyser.frequencyBinCount;
+  const spectrum = new Float32Array(binCount);
+  analyser.getFloatFrequencyData(spectrum);
+  const binWidth = analyser.context.sampleRate / analyser.fftSize;
+  const floor = Math.max(spectrum.slice().sort()[Math.floor(binCount / 2)] + minProminence, analyser.minDecibels);
+
+  const harmonics = [];
+  let spacing = fundamental;
+  for (let number = 1; number <= maxHarmonic; number++) {
+    const expected = number * spacing;
+    const low = Math.max(1, Math.round((expected - 0.4 * fundamental) / binWidth));
+    const high = Math.min(binCount - 2, Math.round((expected + 0.4 * fundamental) / binWidth));
+    if (low > high) break; // Above Nyquist
+
+    let peak = low;
+    for (let bin = low + 1; bin <= high; bin++) {
+      if (spectrum[bin] > spectrum[peak]) peak = bin;
+    }
+    const db = spectrum[peak];
+    if (!(db > floor) || spectrum[peak - 1] > db || spectrum[peak + 1] > db) {
+      harmonics.push({ number, frequency: null, db: null, relativeDb: null });
+      continue;
+    }
+    const a = spectrum[peak - 1];
+    const c = spectrum[peak + 1];
+    const offset = 0.5 * (a - c) / (a - 2 * db + c) || 0;
+    const frequency = (peak + offset) * binWidth;
+    spacing = frequency / number;
+    harmonics.push({
+      number,
+      frequency,
+      db: db - 0.25 * (a - c) * offset,
+      relativeDb: null
+    });
+  }
+
+  const first = harmonics[0];
+  if (!first || first.db === null) return null;
+  harmonics.forEach(harmonic => {
+    if (harmonic.db !== null) harmonic.relativeDb = harmonic.db - first.db;
+  });
+
+  // Inharmonicity coefficient B from f_n = n·f0·√(1 + B·n²): (f_n / n·f_1)² - 1 ≈ B·(n² - 1), least squares
+  let numerator = 0;
+  let denominator = 0;
+  harmonics.forEach(({ number, frequency, relativeDb }) => {
+    if (number < 2 || frequency === null || relativeDb < -40) return;
+    const stretch = Math.pow(frequency / (number * first.frequency), 2) - 1;
+    numerator += stretch * (number * number - 1);
+    denominator += Math.pow(number * number - 1, 2);
+  });
+  const inharmonicity = denominator > 0 ? numerator / denominator : null;
+
+  // Spectral centroid over the whole spectrum, in Hz
+  let weighted = 0;
+  let total = 0;
+  for (let i = 1; i < binCount; i++) {
+    const magnitude = Math.pow(10, spectrum[i] / 20);
+    weighted += i * binWidth * magnitude;
+    total += magnitude;
+  }
+  const centroid = total > 0 ? weighted / total : null;
+
+  // Energy in odd overtones (3, 5, 7...) over even ones (2, 4, 6...)
+  let odd = 0;
+  let even = 0;
+  harmonics.forEach(({ number, db }) => {
+    if (number < 2 || db === null) return;
+    const energy = Math.pow(10, db / 10);
+    if (number % 2 === 0) {
+      even += energy;
+    } else {
+      odd += energy;
+    }
+  });
+  const oddEvenRatio = even > 0 ? odd / even : null;
+
+  return { fundamental: first.frequency, harmonics, inharmonicity, centroid, oddEvenRatio };
+}
+
+// Chord qualities as semitone intervals above the root
+export const CHORD_TYPES = [
+  { quality: 'maj', suffix: '', intervals: [0, 4, 7] },
+  { quality: 'min', suffix: 'm', intervals: [0, 3, 7] },
+  { quality: 'dim', suffix: 'dim', intervals: [0, 3, 6] },
+  { quality: 'aug', suffix: 'aug', intervals: [0, 4, 8] },
+  { quality: 'sus2', suffix: 'sus2', intervals: [0, 2, 7] },
+  { quality: 'sus4', suffix: 'sus4', intervals: [0, 5, 7] },
+  { quality: 'dom7', suffix: '7', intervals: [0, 4, 7, 10] },
+  { quality: 'maj7', suffix: 'maj7', intervals: [0, 4, 7, 11] },
+  { quality: 'min7', suffix: 'm7', intervals: [0, 3, 7, 10] },
+  { quality: 'm7b5', suffix: 'm7b5', intervals: [0, 3, 6, 10] },
+  { quality: 'dim7', suffix: 'dim7', intervals: [0, 3, 6, 9] }
+];
+
+// Detect chords by matching chroma vectors against chord templates
+export class ChordDetector {
+  constructor() {
+    this.chromaHistory = [];
+    this.smoothingFrames = 8; // Average the last 8 chroma frames
+    this.minScore = 0.75; // Cosine similarity needed to report a chord
+    
+    // Track recent detections for consensus (rolling window)
+    this.chordVoteHistory = [];
+    this.maxChordVotes = 20; // Keep last 20 chord detections
+    
+    // One template per root and chord type (12 x CHORD_TYPES)
+    this.templates = [];
+    NOTE_NAMES.forEach((root, rootIndex) => {
+      CHORD_TYPES.forEach(type => {
+        const vector = new Array(12).fill(0);
+        type.intervals.forEach(interval => {
+          vector[(rootIndex + interval) % 12] = 1;
+        });
+        this.templates.push({
+          name: `${root}${type.suffix}`,
+          root,
+          quality: type.quality,
+          notes: type.intervals.map(interval => NOTE_NAMES[(rootIndex + interval) % 12]),
+          vector,
+          norm: Math.sqrt(type.intervals.length)
+        });
+      });
+    });
+  }
+
+  addChroma(chroma) {
+    this.chromaHistory.push(chroma);
+    if (this.chromaHistory.length > this.smoothingFrames) {
+      this.chromaHistory.shift();
+    }
+  }
+
+  detectChord() {
+    if (this.chromaHistory.length === 0) {
+      return { chord: 'N.C.', confidence: 0 };
+    }
+
+    // Average recent frames to smooth out transients
+    const chroma = new Array(12).fill(0);
+    this.chromaHistory.forEach(frame => {
+      frame.forEach((value, i) => {
+        chroma[i] += value / this.chromaHistory.length;
+      });
+    });
+
+    const chromaNorm = Math.sqrt(chroma.reduce((sum, value) => sum + value * value, 0));
+    if (chromaNorm === 0) {
+      return { chord: 'N.C.', confidence: 0 };
+    }
+
+    // Cosine similarity against every template; earlier chord types win ties
+    let best = null;
+    let bestScore = -1;
+    this.templates.forEach(template => {
+      let dot = 0;
+      for (let i = 0; i < 12; i++) {
+        dot += chroma[i] * template.vector[i];
+      }
+      const score = dot / (chromaNorm * template.norm);
+      if (score > bestScore) {
+        bestScore = score;
+        best = template;
+      }
+    });
+
+    const chord = bestScore >= this.minScore ? best.name : 'N.C.';
+    
+    this.chordVoteHistory.push(chord);
+    if (this.chordVoteHistory.length > this.maxChordVotes) {
+      this.chordVoteHistory.shift();
+    }
+    
+    // Find consensus chord from rolling window (most votes in recent history)
+    const votes = {};
+    let consensusChord = chord;
+    let maxVotes = 0;
+    this.chordVoteHistory.forEach(name => {
+      votes[name] = (votes[name] || 0) + 1;
+      if (votes[name] > maxVotes) {
+        maxVotes = votes[name];
+        consensusChord = name;
+      }
+    });
+    
+    return {
+      chord, // Instantaneous detection
+      root: chord !== 'N.C.' ? best.root : null,
+      quality: chord !== 'N.C.' ? best.quality : null,
+      notes: chord !== 'N.C.' ? best.notes : [],
+      confidence: Math.round(Math.max(0, Math.min(1, bestScore)) * 100),
+      consensusChord, // Most voted chord
+      consensusConfidence: Math.round((maxVotes / this.chordVoteHistory.length) * 100)
+    };
+  }
+
+  clear() {
+    this.chromaHistory = [];
+    this.chordVoteHistory = [];
+  }
+}
+
+// Beat detection: spectral-flux onsets, onset-autocorrelation tempo and beat-phase tracking
 export class BeatDetector {
   constructor(audioContext, fftSize = 2048) {
     this.audioContext = audioContext;
     this.analyser = audioContext.createAnalyser();
     this.analyser.fftSize = fftSize;
-    this.analyser.smoothingTimeConstant = 0.8;
+    this.analyser.smoothingTimeConstant = 0; // Smoothing would blur the onsets spectral flux looks for
     this.bufferLength = this.analyser.frequencyBinCount;
     this.dataArray = new Uint8Array(this.bufferLength);
+    this.previousSpectrum = null;
     
     // Initialize beat detection parameters
     this.initBeatParams();
@@ -286,21 +941,52 @@ export class BeatDetector {
     this.analyser.fftSize = fftSize;
     this.bufferLength = this.analyser.frequencyBinCount;
     this.dataArray = new Uint8Array(this.bufferLength);
+    this.previousSpectrum = null;
+  }
+
+  // Change tunable parameters (DETECTOR_PARAMS.beat); takes effect on the next detection tick
+  configure(params) {
+    validateParams('beat', params);
+    Object.assign(this, params);
+  }
+
+  getConfig() {
+    return pickParams('beat', this);
   }
 
   // Initialize beat detection parameters (called in constructor)
   initBeatParams() {
-    // Beat detection parameters
-    this.energyHistory = [];
-    this.historySize = 43; // Approximately 1 second at 60fps
-    this.beatThreshold = 1.3; // Energy must be 30% above average
-    this.minTimeBetweenBeats = 300; // Minimum 300ms between beats (200 BPM max)
+    // Onset picking
+    this.fluxHistory = []; // { time, flux } over the last historyWindow ms
+    this.fluxStartTime = null; // Onsets are only picked once a full window of flux has been seen
+    this.lastOnsetTime = 0;
+
+    // historyWindow, beatThreshold, minTimeBetweenBeats, lowBandHz (see DETECTOR_PARAMS.beat)
+    // The history is timed rather than counted in frames, so it means the same at any detection rate
+    Object.assign(this, getDefaultParams('beat'));
+
+    // Tempo estimation from the onset envelope
+    this.onsetEnvelope = []; // { time, flux } over the last tempoWindow ms
+    this.tempoWindow = 8000; // ms of onsets used for tempo and phase
+    this.minTempoWindow = 3000; // ms of onsets needed before the first estimate
+    this.tempoUpdateInterval = 500; // ms between tempo/phase estimates
+    this.envelopeRate = 100; // Hz the envelope is resampled to for autocorrelation
+    this.minBPM = 40;
+    this.lastTempoUpdate = null;
+    this.subdivision = 2; // 2 = duple, 3 = triple (compound meter) division of the beat
+
+    // Beat tracking
+    this.beatPeriod = 0; // ms, 0 until the first tempo estimate
+    this.nextBeatTime = 0; // Predicted time of the next beat (ms)
     this.lastBeatTime = 0;
-    
-    // BPM calculation
     this.beatTimes = [];
-    this.maxBeatHistory = 8; // Keep last 8 beats for BPM calculation
+    this.maxBeatHistory = 8; // Keep last 8 beats
     this.currentBPM = 0;
+    this.tempoConfidence = 0;
+
+    // Accent (loudness of the onset at each beat) for meter detection
+    this.accentWindow = 60; // ms either side of the beat searched for its onset
+    this.pendingAccent = null; // { time, strength } while the window is still open
     
     // BPM histogram for visualization - CUMULATIVE (never resets)
     this.bpmHistoryCumulative = {}; // Lifetime BPM counts by bucket
@@ -311,76 +997,99 @@ export class BeatDetector {
     this.maxBPMHistory = 30; // Keep last 30 BPM readings
   }
 
-  // Calculate instantaneous energy
-  getEnergy() {
+  // Spectral flux: summed rise in (dB-scaled) magnitude across all bins since the last call
+  // Also leaves the low band's share in this.lowFlux for beat accents
+  getSpectralFlux() {
     this.analyser.getByteFrequencyData(this.dataArray);
-    
-    let sum = 0;
-    // Focus on lower frequencies (bass) for beat detection
-    const bassRange = Math.floor(this.bufferLength * 0.1); // First 10% of spectrum
-    
-    for (let i = 0; i < bassRange; i++) {
-      sum += this.dataArray[i] * this.dataArray[i];
+    this.lowFlux = 0;
+
+    if (!this.previousSpectrum || this.previousSpectrum.length !== this.dataArray.length) {
+      this.previousSpectrum = Uint8Array.from(this.dataArray);
+      return 0;
     }
-    
-    return sum / bassRange;
+
+    const lowBins = Math.max(1, Math.round(this.lowBandHz / (this.audioContext.sampleRate / this.analyser.fftSize)));
+    let flux = 0;
+    let lowFlux = 0;
+    for (let i = 0; i < this.bufferLength; i++) {
+      const rise = this.dataArray[i] - this.previousSpectrum[i];
+      if (rise > 0) {
+        flux += rise;
+        if (i < lowBins) lowFlux += rise;
+      }
+    }
+    this.previousSpectrum.set(this.dataArray);
+
+    this.lowFlux = lowFlux / lowBins;
+    return flux / this.bufferLength;
   }
 
-  // Detect if current energy indicates a beat
-  detectBeat() {
-    const currentTime = Date.now();
-    const energy = this.getEnergy();
-    
-    // Add to history
-    this.energyHistory.push(energy);
-    if (this.energyHistory.length > this.historySize) {
-      this.energyHistory.shift();
+  // Detect onsets and track beats
+  // currentTime is in ms; the app passes the audio clock, offline analysis the render clock
+  detectBeat(currentTime = Date.now()) {
+    const flux = this.getSpectralFlux();
+    const accent = flux + this.lowFlux;
+
+    // Onset envelope for tempo and phase
+    this.onsetEnvelope.push({ time: currentTime, flux, accent });
+    while (this.onsetEnvelope.length > 0 && this.onsetEnvelope[0].time < currentTime - this.tempoWindow) {
+      this.onsetEnvelope.shift();
     }
-    
-    // Need enough history to make a decision
-    if (this.energyHistory.length < this.historySize) {
-      return { isBeat: false, bpm: 0, confidence: 0 };
+
+    // Onsets: flux peaks above the moving average
+    if (this.fluxStartTime === null) this.fluxStartTime = currentTime;
+    this.fluxHistory.push({ time: currentTime, flux });
+    while (this.fluxHistory[0].time < currentTime - this.historyWindow) {
+      this.fluxHistory.shift();
     }
-    
-    // Calculate average energy
-    const averageEnergy = this.energyHistory.reduce((a, b) => a + b, 0) / this.energyHistory.length;
-    
-    // Check if current energy is significantly higher than average
-    const isBeat = energy > (averageEnergy * this.beatThreshold) && 
-                   (currentTime - this.lastBeatTime) > this.minTimeBetweenBeats;
-    
-    if (isBeat) {
-      this.lastBeatTime = currentTime;
-      this.beatTimes.push(currentTime);
-      
-      // Keep only recent beats
+    const averageFlux = this.fluxHistory.reduce((sum, entry) => sum + entry.flux, 0) / this.fluxHistory.length;
+    const isOnset = currentTime - this.fluxStartTime >= this.historyWindow &&
+                    flux > averageFlux * this.beatThreshold &&
+                    (currentTime - this.lastOnsetTime) > this.minTimeBetweenBeats / 2;
+    if (isOnset) {
+      this.lastOnsetTime = currentTime;
+    }
+
+    // Re-estimate tempo and phase periodically once there is enough envelope
+    const envelopeSpan = currentTime - this.onsetEnvelope[0].time;
+    if (envelopeSpan >= this.minTempoWindow &&
+        (this.lastTempoUpdate === null || currentTime - this.lastTempoUpdate >= this.tempoUpdateInterval)) {
+      this.lastTempoUpdate = currentTime;
+      this.updateTempo(currentTime);
+    }
+
+    // A beat's accent is the strongest onset within accentWindow of it; report it once the window closes
+    let beatAccent = null;
+    if (this.pendingAccent) {
+      if (currentTime <= this.pendingAccent.time + this.accentWindow) {
+        this.pendingAccent.strength = Math.max(this.pendingAccent.strength, accent);
+      } else {
+        beatAccent = this.pendingAccent;
+        this.pendingAccent = null;
+      }
+    }
+
+    // The beat fires when the clock passes the predicted beat time
+    let isBeat = false;
+    let beatTime = null;
+    if (this.beatPeriod > 0 && currentTime >= this.nextBeatTime) {
+      isBeat = true;
+      beatTime = this.nextBeatTime;
+      this.lastBeatTime = beatTime;
+      this.beatTimes.push(beatTime);
       if (this.beatTimes.length > this.maxBeatHistory) {
         this.beatTimes.shift();
       }
-      
-      // Calculate BPM from beat intervals
-      this.currentBPM = this.calculateBPM();
-      
-      // Add to BPM history (both cumulative and rolling window)
-      if (this.currentBPM > 0) {
-        const roundedBPM = Math.round(this.currentBPM);
-        const bucket = Math.round(roundedBPM / 2) * 2; // Group into ±2 BPM buckets
-        
-        // Add to cumulative histogram
-        this.bpmHistoryCumulative[bucket] = (this.bpmHistoryCumulative[bucket] || 0) + 1;
-        this.totalBPMReadings++;
-        
-        // Add to rolling window
-        this.bpmHistory.push(roundedBPM);
-        if (this.bpmHistory.length > this.maxBPMHistory) {
-          this.bpmHistory.shift();
-        }
+      while (this.nextBeatTime <= currentTime) {
+        this.nextBeatTime += this.beatPeriod;
       }
+
+      const strength = this.onsetEnvelope
+        .filter(entry => entry.time >= beatTime - this.accentWindow)
+        .reduce((max, entry) => Math.max(max, entry.accent), 0);
+      this.pendingAccent = { time: beatTime, strength };
     }
     
-    // Calculate confidence based on consistency of beat intervals
-    const confidence = this.calculateConfidence();
-    
     // Build BPM histogram
     const bpmHistogram = this.getBPMHistogram();
     
@@ -397,63 +1106,181 @@ export class BeatDetector {
     
     return {
       isBeat,
+      beatTime, // Predicted beat time (ms) when isBeat, otherwise null
+      isOnset,
+      accent: beatAccent, // { time, strength } of an earlier beat, once its accent is known
+      subdivision: this.subdivision,
       bpm: Math.round(this.currentBPM), // Instantaneous BPM
-      confidence,
+      confidence: this.tempoConfidence,
       consensusBPM, // Most voted BPM
       consensusConfidence,
-      energy: Math.round(energy),
+      energy: Math.round(flux),
       histogram: bpmHistogram
     };
   }
 
-  calculateBPM() {
-    if (this.beatTimes.length < 2) {
-      return 0;
+  // Onset envelope resampled to envelopeRate, with the local mean removed and negatives clipped
+  getEnvelope(currentTime) {
+    const step = 1000 / this.envelopeRate;
+    const length = Math.floor((currentTime - this.onsetEnvelope[0].time) / step) + 1;
+    const raw = new Float32Array(length);
+
+    // Linear interpolation between detection frames
+    let j = 0;
+    for (let i = 0; i < length; i++) {
+      const time = currentTime - (length - 1 - i) * step;
+      while (j < this.onsetEnvelope.length - 2 && this.onsetEnvelope[j + 1].time < time) j++;
+      const a = this.onsetEnvelope[j];
+      const b = this.onsetEnvelope[Math.min(j + 1, this.onsetEnvelope.length - 1)];
+      const t = b.time > a.time ? Math.max(0, Math.min(1, (time - a.time) / (b.time - a.time))) : 0;
+      raw[i] = a.flux + (b.flux - a.flux) * t;
     }
-    
-    // Calculate average interval between beats
-    const intervals = [];
-    for (let i = 1; i < this.beatTimes.length; i++) {
-      intervals.push(this.beatTimes[i] - this.beatTimes[i - 1]);
+
+    // Subtract a ~200 ms moving average so only the peaks remain
+    const radius = Math.round(0.1 * this.envelopeRate);
+    const envelope = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      let count = 0;
+      for (let k = Math.max(0, i - radius); k <= Math.min(length - 1, i + radius); k++) {
+        sum += raw[k];
+        count++;
+      }
+      envelope[i] = Math.max(0, raw[i] - sum / count);
     }
-    
-    const averageInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
-    
-    // Convert to BPM (beats per minute)
-    const bpm = 60000 / averageInterval;
-    
-    // Clamp to reasonable range
-    return Math.max(40, Math.min(240, bpm));
+    return envelope;
   }
 
-  calculateConfidence() {
-    if (this.beatTimes.length < 3) {
-      return 0;
+  // Tempo from the onset envelope's autocorrelation, then the beat phase that best fits it
+  updateTempo(currentTime) {
+    const envelope = this.getEnvelope(currentTime);
+    const length = envelope.length;
+    const rate = this.envelopeRate;
+    const minLag = Math.floor((this.minTimeBetweenBeats / 1000) * rate);
+    const maxLag = Math.min(Math.ceil((60 / this.minBPM) * rate), Math.floor(length / 2));
+    if (maxLag <= minLag + 2) return;
+
+    // Normalized autocorrelation out to four periods of the slowest tempo
+    const acfLength = Math.min(length - 1, maxLag * 4 + 1);
+    const acf = new Float32Array(acfLength + 1);
+    for (let lag = 0; lag <= acfLength; lag++) {
+      let sum = 0;
+      for (let i = lag; i < length; i++) {
+        sum += envelope[i] * envelope[i - lag];
+      }
+      acf[lag] = sum / (length - lag);
     }
-    
-    // Calculate variance in beat intervals
-    const intervals = [];
-    for (let i = 1; i < this.beatTimes.length; i++) {
-      intervals.push(this.beatTimes[i] - this.beatTimes[i - 1]);
+    if (acf[0] <= 0) return;
+    const acfAt = (lag) => {
+      if (lag > acfLength) return 0;
+      const i = Math.floor(lag);
+      const t = lag - i;
+      return (acf[i] * (1 - t) + acf[Math.min(i + 1, acfLength)] * t) / acf[0];
+    };
+
+    // Comb filter: a true period also correlates at its multiples
+    const combScore = (lag) => {
+      let score = 0;
+      for (let k = 1; k <= 4; k++) {
+        score += acfAt(lag * k) / k;
+      }
+      return score;
+    };
+
+    // Tempo prior: log-Gaussian around 120 BPM, about an octave wide
+    const prior = (lag) => {
+      const octaves = Math.log2((60 * rate) / lag / 120);
+      return Math.exp(-0.5 * octaves * octaves);
+    };
+
+    let bestLag = minLag;
+    let bestScore = -Infinity;
+    const scores = new Float32Array(maxLag + 2);
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      scores[lag] = combScore(lag);
+      if (scores[lag] > bestScore) {
+        bestScore = scores[lag];
+        bestLag = lag;
+      }
     }
-    
-    const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
-    
-    // Prevent division by zero
-    if (mean === 0) return 0;
-    
-    const variance = intervals.reduce((sum, interval) => {
-      return sum + Math.pow(interval - mean, 2);
-    }, 0) / intervals.length;
-    
-    const stdDev = Math.sqrt(variance);
-    const coefficientOfVariation = (stdDev / mean) * 100;
-    
-    // Lower coefficient of variation = higher confidence
-    // Clamp to ensure we stay within 0-100 range
-    const confidence = 100 - coefficientOfVariation;
-    
-    return Math.round(Math.max(0, Math.min(100, confidence)));
+
+    // Octave-error resolution: half- and double-time readings compete with the prior applied
+    let lag = bestLag;
+    const refine = (candidate) => {
+      // Parabolic peak interpolation around the nearest integer lag
+      const i = Math.round(candidate);
+      if (i <= minLag || i >= maxLag) return candidate;
+      const a = scores[i - 1];
+      const b = scores[i];
+      const c = scores[i + 1];
+      const denominator = a - 2 * b + c;
+      return denominator < 0 ? i + Math.max(-0.5, Math.min(0.5, (a - c) / (2 * denominator))) : i;
+    };
+    let weighted = combScore(refine(lag)) * prior(lag);
+    [bestLag / 2, bestLag * 2, bestLag * 2 / 3, bestLag * 3 / 2].forEach(candidate => {
+      if (candidate < minLag || candidate > maxLag) return;
+      // Snap to the local comb peak near the candidate
+      let peak = Math.round(candidate);
+      for (let i = Math.max(minLag, peak - 2); i <= Math.min(maxLag, peak + 2); i++) {
+        if (scores[i] > scores[peak]) peak = i;
+      }
+      const score = combScore(refine(peak)) * prior(peak);
+      if (score > weighted * 1.1) {
+        weighted = score;
+        lag = peak;
+      }
+    });
+    lag = refine(lag);
+
+    // Compound meters (6/8) divide the beat in three: the envelope repeats at thirds rather than halves
+    const thirds = (acfAt(lag / 3) + acfAt((lag * 2) / 3)) / 2;
+    this.subdivision = thirds > 0.1 && thirds > acfAt(lag / 2) * 1.2 ? 3 : 2;
+
+    const bpm = (60 * rate) / lag;
+    this.currentBPM = bpm;
+    this.tempoConfidence = Math.round(Math.max(0, Math.min(1, acfAt(lag))) * 100);
+    this.beatPeriod = (lag / rate) * 1000;
+
+    // Vote (both cumulative and rolling window)
+    const roundedBPM = Math.round(bpm);
+    const bucket = Math.round(roundedBPM / 2) * 2; // Group into ±2 BPM buckets
+    this.bpmHistoryCumulative[bucket] = (this.bpmHistoryCumulative[bucket] || 0) + 1;
+    this.totalBPMReadings++;
+    this.bpmHistory.push(roundedBPM);
+    if (this.bpmHistory.length > this.maxBPMHistory) {
+      this.bpmHistory.shift();
+    }
+
+    this.updatePhase(envelope, lag, currentTime);
+  }
+
+  // Phase: the offset whose comb of beats, back from now, lands on the most onset energy
+  // (recent beats weigh more). Sets nextBeatTime without repeating the beat just fired.
+  updatePhase(envelope, lag, currentTime) {
+    const last = envelope.length - 1;
+    let bestOffset = 0;
+    let bestScore = -1;
+    for (let offset = 0; offset < lag; offset++) {
+      let score = 0;
+      let weight = 1;
+      for (let position = last - offset; position >= 1; position -= lag) {
+        const i = Math.floor(position);
+        const t = position - i;
+        score += weight * (envelope[i] * (1 - t) + envelope[Math.min(i + 1, last)] * t);
+        weight *= 0.9;
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        bestOffset = offset;
+      }
+    }
+
+    const lastBeat = currentTime - (bestOffset / this.envelopeRate) * 1000;
+    let nextBeat = lastBeat + this.beatPeriod;
+    while (nextBeat <= this.lastBeatTime + this.beatPeriod / 2) {
+      nextBeat += this.beatPeriod;
+    }
+    this.nextBeatTime = nextBeat;
   }
 
   getBPMHistogram() {
@@ -478,13 +1305,139 @@ export class BeatDetector {
   }
 
   reset() {
-    this.energyHistory = [];
+    this.fluxHistory = [];
+    this.fluxStartTime = null;
+    this.onsetEnvelope = [];
+    this.previousSpectrum = null;
+    this.lastOnsetTime = 0;
+    this.lastTempoUpdate = null;
+    this.beatPeriod = 0;
+    this.nextBeatTime = 0;
     this.beatTimes = [];
     this.bpmHistory = [];
     this.bpmHistoryCumulative = {};
     this.totalBPMReadings = 0;
     this.currentBPM = 0;
+    this.tempoConfidence = 0;
     this.lastBeatTime = 0;
+    this.subdivision = 2;
+    this.pendingAccent = null;
+  }
+}
+
+// Meter (time signature) and downbeat detection from the accent pattern of tracked beats
+// Beats per bar is the grouping whose strongest position stands out most from the rest
+export class MeterDetector {
+  constructor() {
+    this.beats = []; // { index, time, accent } for the most recent beats
+    this.maxBeats = 32; // 8 bars of 4/4
+    this.minBeats = 12; // Accented beats needed before the first estimate
+    this.minContrast = 0.5; // Downbeat must stand out by half a standard deviation
+    this.minVariation = 0.02; // Accents closer than 2% of their mean are treated as unaccented
+    this.duplePrior = 0.8; // 4/4 wins over 2/4 unless 2/4 fits 25% better
+    this.beatCount = 0;
+    this.beatsPerBar = 0; // 0 until the meter is known
+    this.downbeatIndex = 0; // Index of any beat that falls on a downbeat
+    this.subdivision = 2;
+    this.confidence = 0;
+  }
+
+  // A beat fired; its accent follows via addAccent
+  addBeat(time) {
+    this.beats.push({ index: this.beatCount, time, accent: null });
+    this.beatCount++;
+    if (this.beats.length > this.maxBeats) {
+      this.beats.shift();
+    }
+  }
+
+  addAccent(time, strength, subdivision = 2) {
+    const beat = this.beats.find(b => b.time === time);
+    if (!beat) return;
+    beat.accent = strength;
+    this.subdivision = subdivision;
+    this.estimate();
+  }
+
+  estimate() {
+    const accented = this.beats.filter(b => b.accent !== null);
+    if (accented.length < this.minBeats) return;
+
+    // Standardize so contrast is in standard deviations whatever the loudness
+    const mean = accented.reduce((sum, b) => sum + b.accent, 0) / accented.length;
+    const variance = accented.reduce((sum, b) => sum + (b.accent - mean) ** 2, 0) / accented.length;
+    const std = Math.sqrt(variance);
+    if (std <= mean * this.minVariation) {
+      // Evenly accented (a plain click): no bars to find
+      this.beatsPerBar = 0;
+      this.confidence = 0;
+      return;
+    }
+    const z = accented.map(b => ({ index: b.index, value: (b.accent - mean) / std }));
+
+    // For each grouping, the position whose beats are loudest relative to the others
+    const contrastFor = (beatsPerBar) => {
+      let best = { contrast: -Infinity, phase: 0 };
+      for (let phase = 0; phase < beatsPerBar; phase++) {
+        let onSum = 0, onCount = 0, offSum = 0, offCount = 0;
+        z.forEach(({ index, value }) => {
+          if (index % beatsPerBar === phase) {
+            onSum += value;
+            onCount++;
+          } else {
+            offSum += value;
+            offCount++;
+          }
+        });
+        if (onCount === 0 || offCount === 0) continue;
+        const contrast = onSum / onCount - offSum / offCount;
+        if (contrast > best.contrast) {
+          best = { contrast, phase };
+        }
+      }
+      return best;
+    };
+
+    let best = null;
+    [2, 3, 4].forEach(beatsPerBar => {
+      const { contrast, phase } = contrastFor(beatsPerBar);
+      // Strong-weak-medium-weak also fits 2/4 about as well, so 4/4 gets the benefit of the doubt
+      const score = beatsPerBar === 4 ? contrast / this.duplePrior : contrast;
+      if (!best || score > best.score) {
+        best = { beatsPerBar, phase, contrast, score };
+      }
+    });
+
+    // A weak stretch (a fill, a breakdown) keeps the last meter rather than dropping it
+    this.confidence = Math.round(Math.min(1, best.contrast / 2) * 100);
+    if (best.contrast < this.minContrast) return;
+    this.beatsPerBar = best.beatsPerBar;
+    this.downbeatIndex = best.phase;
+  }
+
+  // Current meter and the position of the latest beat in its bar (1-based, 0 when unknown)
+  getMeter() {
+    if (this.beatsPerBar === 0 || this.beatCount === 0) {
+      return { timeSignature: null, beatsPerBar: 0, beatInBar: 0, confidence: 0 };
+    }
+
+    const latest = this.beatCount - 1;
+    const beatInBar = (((latest - this.downbeatIndex) % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar + 1;
+    let timeSignature = `${this.beatsPerBar}/4`;
+    if (this.beatsPerBar === 2 && this.subdivision === 3) {
+      timeSignature = '6/8'; // Two dotted-quarter beats, each in three
+    }
+
+    return { timeSignature, beatsPerBar: this.beatsPerBar, beatInBar, confidence: this.confidence };
+  }
+
+  reset() {
+    this.beats = [];
+    this.beatCount = 0;
+    this.beatsPerBar = 0;
+    this.downbeatIndex = 0;
+    this.subdivision = 2;
+    this.confidence = 0;
   }
 }
 
@@ -496,10 +1449,15 @@ export class AudioPlayer {
     this.sourceNode = null;
     this.analyserNode = null;
     this.isPlaying = false;
+    this.url = null;
+    this.loop = null; // { start, end } in seconds while an A/B loop is active
+    this.loopTimer = null;
+    this.overview = null; // Cached waveform peaks, see getOverview()
   }
 
   async loadAudio(url) {
     // Create audio element
+    this.url = url;
     this.audioElement = new Audio(url);
     this.audioElement.crossOrigin = 'anonymous';
     
@@ -534,6 +1492,7 @@ export class AudioPlayer {
     if (this.audioElement) {
       this.audioElement.play();
       this.isPlaying = true;
+      if (this.loop) this.startLoopTimer();
     }
   }
 
@@ -544,7 +1503,9 @@ export class AudioPlayer {
     }
   }
 
+  // Keeps the loop range, so play() picks it up again; only the timer stops
   stop() {
+    this.stopLoopTimer();
     if (this.audioElement) {
       this.audioElement.pause();
       this.audioElement.currentTime = 0;
@@ -564,13 +1525,115 @@ export class AudioPlayer {
     return this.audioElement ? this.audioElement.duration : 0;
   }
 
+  seek(time) {
+    if (this.audioElement) {
+      const duration = this.audioElement.duration || 0;
+      this.audioElement.currentTime = Math.max(0, Math.min(duration, time));
+    }
+  }
+
   setVolume(volume) {
     if (this.audioElement) {
       this.audioElement.volume = Math.max(0, Math.min(1, volume));
     }
   }
 
+  // Speed (1 = normal). With preservePitch the browser time-stretches, so notes stay in tune when slowed down
+  setPlaybackRate(rate, preservePitch = true) {
+    if (this.audioElement) {
+      this.audioElement.playbackRate = rate;
+      this.audioElement.preservesPitch = preservePitch;
+      this.audioElement.mozPreservesPitch = preservePitch; // Firefox before 101
+      this.audioElement.webkitPreservesPitch = preservePitch; // Safari
+    }
+  }
+
+  getPlaybackRate() {
+    return this.audioElement ? this.audioElement.playbackRate : 1;
+  }
+
+  // A/B loop: playback jumps back to start whenever it reaches end
+  setLoop(start, end) {
+    if (!this.audioElement) {
+      throw new Error('Audio not loaded. Call loadAudio() first.');
+    }
+    if (!(end > start)) {
+      throw new Error(`Invalid loop: ${start}-${end}`);
+    }
+    this.loop = { start, end };
+    this.audioElement.loop = false;
+    this.startLoopTimer();
+  }
+
+  clearLoop() {
+    this.loop = null;
+    this.stopLoopTimer();
+  }
+
+  // timeupdate only fires about 4 times a second, too coarse for a one-bar loop
+  startLoopTimer() {
+    if (this.loopTimer) return;
+    this.loopTimer = setInterval(() => {
+      // The element goes away on cleanup(); a stale timer must not touch it
+      const element = this.audioElement;
+      if (!this.loop || !element) {
+        this.stopLoopTimer();
+        return;
+      }
+      if (element.currentTime >= this.loop.end || element.ended) {
+        element.currentTime = this.loop.start;
+        if (this.isPlaying && element.paused) {
+          element.play();
+        }
+      }
+    }, 10);
+  }
+
+  stopLoopTimer() {
+    if (this.loopTimer) {
+      clearInterval(this.loopTimer);
+      this.loopTimer = null;
+    }
+  }
+
+  getLoop() {
+    return this.loop;
+  }
+
+  // Peak level (0-1) of the whole file in `buckets` slices, for a waveform overview
+  // Decodes the file a second time, so the result is cached
+  async getOverview(buckets = 1000) {
+    if (this.overview && this.overview.length === buckets) {
+      return this.overview;
+    }
+
+    if (!this.url) {
+      throw new Error('Audio not loaded. Call loadAudio() first.');
+    }
+    const response = await fetch(this.url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} loading ${this.url}`);
+    }
+    const audioBuffer = await this.audioContext.decodeAudioData(await response.arrayBuffer());
+    const peaks = new Float32Array(buckets);
+    const samplesPerBucket = audioBuffer.length / buckets;
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < buckets; i++) {
+        const end = Math.min(data.length, Math.floor((i + 1) * samplesPerBucket));
+        for (let j = Math.floor(i * samplesPerBucket); j < end; j++) {
+          const level = Math.abs(data[j]);
+          if (level > peaks[i]) peaks[i] = level;
+        }
+      }
+    }
+
+    this.overview = peaks;
+    return peaks;
+  }
+
   cleanup() {
+    this.clearLoop();
     this.stop();
     if (this.sourceNode) {
       this.sourceNode.disconnect();
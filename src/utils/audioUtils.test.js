@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { KeyDetector, KEY_PROFILES } from './audioUtils';
+
+// Key votes for a melody, one note name per entry with its weight
+const detect = (profile, notes) => {
+  const detector = new KeyDetector({ profile });
+  notes.forEach(([noteName, weight]) => detector.addNote(noteName, weight));
+  return detector.detectKey();
+};
+
+// Tonic and fifth held longest, as in a tune that settles on them
+const C_MAJOR = [['C', 4], ['D', 1], ['E', 2], ['F', 1], ['G', 3], ['A', 1], ['B', 1], ['C', 4], ['G', 3], ['E', 2]];
+const A_MINOR = [['A', 4], ['B', 1], ['C', 2], ['D', 1], ['E', 3], ['F', 1], ['G', 1], ['A', 4], ['E', 3], ['C', 2]];
+
+describe('KeyDetector', () => {
+  it('finds the key with every profile', () => {
+    Object.keys(KEY_PROFILES).forEach(profile => {
+      expect(detect(profile, C_MAJOR).key).toBe('C Major');
+      expect(detect(profile, A_MINOR).key).toBe('A Minor');
+    });
+  });
+
+  it('reports confidence on the same scale for every profile and mode', () => {
+    const confidences = Object.keys(KEY_PROFILES).flatMap(profile => [
+      detect(profile, C_MAJOR).confidence,
+      detect(profile, A_MINOR).confidence
+    ]);
+    confidences.forEach(confidence => {
+      expect(confidence).toBeGreaterThan(60);
+      expect(confidence).toBeLessThanOrEqual(100);
+    });
+    expect(Math.max(...confidences) - Math.min(...confidences)).toBeLessThan(30);
+  });
+
+  it('gives a relative minor the same confidence as its major when the notes mirror each other', () => {
+    Object.keys(KEY_PROFILES).forEach(profile => {
+      const major = detect(profile, C_MAJOR);
+      const minor = detect(profile, A_MINOR);
+      expect(Math.abs(major.confidence - minor.confidence)).toBeLessThan(25);
+    });
+  });
+
+  it('has no confidence in a flat distribution', () => {
+    const chromatic = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'].map(note => [note, 1]);
+    expect(detect('krumhansl', chromatic).confidence).toBe(0);
+  });
+});
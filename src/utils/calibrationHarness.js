@@ -0,0 +1,211 @@
+// Offline calibration harness
+// Decodes each calibration track, renders it through an OfflineAudioContext and
+// runs each detection tick through the same analyzeFrame/trackBeat steps as App.jsx and the worker,
+// then scores the results against the songLibrary ground truth.
+import { PitchDetector, NoteTracker, KeyDetector, BeatDetector, MeterDetector } from './audioUtils';
+import { analyzeFrame, trackBeat, applyDetectorParams } from './analysisFrame';
+import { calibrationSongs, getAudioUrl } from './songLibrary';
+
+const RENDER_QUANTUM = 128; // Frames per Web Audio render block
+
+export const defaultHarnessOptions = {
+  fftSize: 2048,
+  updateRate: 60, // Detection ticks per second of audio (same as the Rate slider)
+  squelchDb: -50, // dBFS RMS, same as the Squelch slider
+  a4: 440, // Reference pitch in Hz for note names and chroma, same as the A4 setting
+  bpmTolerance: 2, // BPM histogram buckets are 2 BPM wide
+  pitchAlgorithm: 'yin', // See PITCH_ALGORITHMS
+  keySource: 'notes', // KeyDetector source: 'notes' or 'chroma'
+  keyProfile: 'krumhansl', // See KEY_PROFILES
+  noteWeighting: 'duration', // How finished notes count as key votes, see NOTE_WEIGHTINGS
+  detectorParams: null // Advanced settings ({ pitch, notes, key, beat }); null keeps the detectors' defaults
+};
+
+// Keys are stored as "G major" in the library and "G Major" by KeyDetector
+function keysMatch(expected, detected) {
+  if (!expected || !detected) return false;
+  return expected.toLowerCase() === detected.toLowerCase();
+}
+
+// Library songs are fetched from public/audio/; local tracks carry their file as a blob
+async function decodeTrack(song) {
+  let arrayBuffer;
+  if (song.blob) {
+    arrayBuffer = await song.blob.arrayBuffer();
+  } else {
+    const url = getAudioUrl(song.filename);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} loading ${url}`);
+    }
+    arrayBuffer = await response.arrayBuffer();
+  }
+
+  // A throwaway offline context is enough for decoding; the buffer keeps the file's own sample rate
+  const decoder = new OfflineAudioContext(1, 1, 44100);
+  return decoder.decodeAudioData(arrayBuffer);
+}
+
+// Analyze a single song and compare against its expected key/BPM/time signature
+export async function analyzeTrack(song, options = {}) {
+  const { fftSize, updateRate, squelchDb, a4, bpmTolerance, pitchAlgorithm, keySource, keyProfile, noteWeighting, detectorParams } = { ...defaultHarnessOptions, ...options };
+  const startedAt = performance.now();
+
+  const audioBuffer = await decodeTrack(song);
+  const context = new OfflineAudioContext(
+    audioBuffer.numberOfChannels,
+    audioBuffer.length,
+    audioBuffer.sampleRate
+  );
+
+  const pitchDetector = new PitchDetector(context, fftSize, pitchAlgorithm);
+  const noteTracker = new NoteTracker();
+  const keyDetector = new KeyDetector({ profile: keyProfile, source: keySource });
+  const beatDetector = new BeatDetector(context, fftSize);
+  const meterDetector = new MeterDetector();
+  applyDetectorParams({ pitchDetector, noteTracker, keyDetector, beatDetector }, detectorParams);
+
+  // Same routing as calibration mode: source -> pitch analyser -> beat analyser
+  const source = context.createBufferSource();
+  source.buffer = audioBuffer;
+  source.connect(pitchDetector.getAnalyser());
+  pitchDetector.getAnalyser().connect(beatDetector.getAnalyser());
+  source.connect(context.destination);
+
+  // Key detection only; pitch is needed just for note-fed keys
+  const frameSettings = {
+    squelchDb,
+    a4,
+    needsPitch: keySource === 'notes',
+    noteDetectionEnabled: true,
+    keyDetectionEnabled: true,
+    keySource,
+    noteWeighting,
+    chordDetectionEnabled: false
+  };
+  let keyResult = { key: 'Not detected', confidence: 0 };
+  let beatResult = { bpm: 0, confidence: 0 };
+  let keyCandidateTime = null; // Time the consensus key last became correct
+  let bpmCandidateTime = null;
+
+  const analyzeTick = (time) => {
+    const frame = analyzeFrame({ pitchDetector, noteTracker, keyDetector }, frameSettings, time);
+    if (frame.key) {
+      keyResult = frame.key;
+    }
+
+    const result = trackBeat({ beatDetector, meterDetector }, time);
+    if (result.bpm > 0) {
+      beatResult = result;
+    }
+
+    // Time-to-lock = start of the final run in which the consensus stays correct
+    const detectedKey = keyResult.consensusKey || keyResult.key;
+    if (keysMatch(song.expectedKey, detectedKey)) {
+      if (keyCandidateTime === null) keyCandidateTime = time;
+    } else {
+      keyCandidateTime = null;
+    }
+
+    const detectedBPM = beatResult.consensusBPM || beatResult.bpm;
+    if (song.bpm && detectedBPM > 0 && Math.abs(detectedBPM - song.bpm) <= bpmTolerance) {
+      if (bpmCandidateTime === null) bpmCandidateTime = time;
+    } else {
+      bpmCandidateTime = null;
+    }
+  };
+
+  // Schedule a suspension for every detection tick; suspend times are rounded to render blocks
+  const quantum = RENDER_QUANTUM / context.sampleRate;
+  const scheduled = new Set();
+  for (let t = 1 / updateRate; t < audioBuffer.duration; t += 1 / updateRate) {
+    const block = Math.ceil(t / quantum);
+    const time = block * quantum;
+    if (scheduled.has(block) || time >= audioBuffer.duration) continue;
+    scheduled.add(block);
+
+    context.suspend(time).then(() => {
+      analyzeTick(time);
+      context.resume();
+    });
+  }
+
+  source.start();
+  await context.startRendering();
+
+  const renderTime = (performance.now() - startedAt) / 1000;
+  const detectedKey = keyResult.consensusKey || null;
+  const detectedBPM = beatResult.consensusBPM || beatResult.bpm || 0;
+  const bpmError = song.bpm && detectedBPM > 0 ? detectedBPM - song.bpm : null;
+  const detectedTimeSignature = meterDetector.getMeter().timeSignature;
+
+  return {
+    id: song.id,
+    name: song.name,
+    duration: audioBuffer.duration,
+    renderTime,
+    speedFactor: audioBuffer.duration / renderTime,
+    expectedKey: song.expectedKey,
+    detectedKey,
+    keyConfidence: keyResult.consensusConfidence || 0,
+    keyMatch: song.expectedKey ? keysMatch(song.expectedKey, detectedKey) : null,
+    keyLockTime: song.expectedKey ? keyCandidateTime : null,
+    expectedBPM: song.bpm,
+    detectedBPM,
+    bpmConfidence: beatResult.consensusConfidence || 0,
+    bpmError,
+    bpmErrorPercent: bpmError !== null ? (bpmError / song.bpm) * 100 : null,
+    bpmMatch: song.bpm ? bpmError !== null && Math.abs(bpmError) <= bpmTolerance : null,
+    bpmLockTime: song.bpm ? bpmCandidateTime : null,
+    expectedTimeSignature: song.timeSignature || null,
+    detectedTimeSignature,
+    timeSignatureMatch: song.timeSignature ? detectedTimeSignature === song.timeSignature : null,
+    error: null
+  };
+}
+
+// Run every song through the harness and summarise accuracy
+export async function runCalibration(songs = calibrationSongs, options = {}, onProgress) {
+  const settings = { ...defaultHarnessOptions, ...options };
+  const tracks = [];
+
+  for (let i = 0; i < songs.length; i++) {
+    const song = songs[i];
+    if (onProgress) onProgress({ index: i, total: songs.length, song });
+
+    try {
+      tracks.push(await analyzeTrack(song, settings));
+    } catch (err) {
+      // A missing or undecodable file should not abort the whole batch
+      tracks.push({ id: song.id, name: song.name, expectedKey: song.expectedKey, expectedBPM: song.bpm, error: err.message || String(err) });
+    }
+  }
+
+  const analyzed = tracks.filter(t => !t.error);
+  const keyed = analyzed.filter(t => t.keyMatch !== null);
+  const withBPM = analyzed.filter(t => t.bpmError !== null);
+  const withExpectedBPM = analyzed.filter(t => t.bpmMatch !== null);
+  const withMeter = analyzed.filter(t => t.timeSignatureMatch !== null);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    options: settings,
+    summary: {
+      tracks: tracks.length,
+      failed: tracks.length - analyzed.length,
+      keyAccuracy: keyed.length > 0
+        ? Math.round((keyed.filter(t => t.keyMatch).length / keyed.length) * 100)
+        : null,
+      bpmAccuracy: withExpectedBPM.length > 0
+        ? Math.round((withExpectedBPM.filter(t => t.bpmMatch).length / withExpectedBPM.length) * 100)
+        : null,
+      meanAbsBpmError: withBPM.length > 0
+        ? withBPM.reduce((sum, t) => sum + Math.abs(t.bpmError), 0) / withBPM.length
+        : null,
+      meterAccuracy: withMeter.length > 0
+        ? Math.round((withMeter.filter(t => t.timeSignatureMatch).length / withMeter.length) * 100)
+        : null
+    },
+    tracks
+  };
+}
@@ -0,0 +1,39 @@
+// Colormaps for intensity displays (spectrogram), as evenly spaced RGB stops from low to high
+export const COLORMAPS = {
+  viridis: {
+    name: 'Viridis',
+    stops: [[68, 1, 84], [72, 40, 120], [62, 74, 137], [49, 104, 142], [38, 130, 142], [31, 158, 137], [53, 183, 121], [109, 205, 89], [180, 222, 44], [253, 231, 37]]
+  },
+  magma: {
+    name: 'Magma',
+    stops: [[0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129], [181, 54, 122], [229, 80, 100], [251, 135, 97], [254, 194, 135], [252, 253, 191]]
+  },
+  inferno: {
+    name: 'Inferno',
+    stops: [[0, 0, 4], [31, 12, 72], [85, 15, 109], [136, 34, 106], [186, 54, 85], [227, 89, 51], [249, 140, 10], [249, 201, 50], [252, 255, 164]]
+  },
+  grayscale: {
+    name: 'Grayscale',
+    stops: [[0, 0, 0], [255, 255, 255]]
+  }
+};
+
+// 256-entry lookup table: entry i holds the RGB for intensity i / 255
+export function buildColormapLUT(id) {
+  const colormap = COLORMAPS[id];
+  if (!colormap) {
+    throw new Error(`Unknown colormap: ${id}`);
+  }
+
+  const { stops } = colormap;
+  const lut = new Uint8ClampedArray(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    const position = (i / 255) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(position));
+    const t = position - index;
+    for (let c = 0; c < 3; c++) {
+      lut[i * 3 + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * t;
+    }
+  }
+  return lut;
+}
@@ -0,0 +1,130 @@
+// FFT and an AnalyserNode stand-in for analysis outside the audio graph (e.g. in a Web Worker)
+
+// In-place iterative radix-2 FFT; re/im lengths must be the same power of two
+export function fft(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const angle = (-2 * Math.PI) / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+// Mirrors the parts of AnalyserNode the detectors use, fed with write() instead of the audio graph
+// Follows the Web Audio spec: Blackman window, smoothing over time, dB mapped to bytes
+export class SoftwareAnalyser {
+  constructor(sampleRate, fftSize = 2048) {
+    this.context = { sampleRate }; // computeChroma reads analyser.context.sampleRate
+    this.smoothingTimeConstant = 0.8;
+    this.minDecibels = -100;
+    this.maxDecibels = -30;
+    this.fftSize = fftSize;
+  }
+
+  get fftSize() {
+    return this._fftSize;
+  }
+
+  set fftSize(fftSize) {
+    this._fftSize = fftSize;
+    this.frequencyBinCount = fftSize / 2;
+    this.samples = new Float32Array(fftSize); // Ring buffer of the latest fftSize samples
+    this.writeIndex = 0;
+    this.smoothed = new Float32Array(fftSize / 2);
+    this.window = new Float32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      const x = i / fftSize;
+      this.window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+    }
+    this.spectrumStale = true;
+  }
+
+  write(input) {
+    for (let i = 0; i < input.length; i++) {
+      this.samples[this.writeIndex] = input[i];
+      this.writeIndex = (this.writeIndex + 1) % this._fftSize;
+    }
+    this.spectrumStale = true;
+  }
+
+  getFloatTimeDomainData(array) {
+    const size = Math.min(array.length, this._fftSize);
+    const start = this.writeIndex + this._fftSize - size;
+    for (let i = 0; i < size; i++) {
+      array[i] = this.samples[(start + i) % this._fftSize];
+    }
+  }
+
+  // Smoothing is applied once per block of new samples, however often the spectrum is read
+  updateSpectrum() {
+    if (!this.spectrumStale) return;
+    this.spectrumStale = false;
+
+    const size = this._fftSize;
+    const re = new Float32Array(size);
+    const im = new Float32Array(size);
+    this.getFloatTimeDomainData(re);
+    for (let i = 0; i < size; i++) {
+      re[i] *= this.window[i];
+    }
+    fft(re, im);
+
+    const tau = this.smoothingTimeConstant;
+    for (let i = 0; i < this.frequencyBinCount; i++) {
+      const magnitude = Math.hypot(re[i], im[i]) / size;
+      this.smoothed[i] = tau * this.smoothed[i] + (1 - tau) * magnitude;
+    }
+  }
+
+  getFloatFrequencyData(array) {
+    this.updateSpectrum();
+    const size = Math.min(array.length, this.frequencyBinCount);
+    for (let i = 0; i < size; i++) {
+      array[i] = 20 * Math.log10(this.smoothed[i]);
+    }
+  }
+
+  getByteFrequencyData(array) {
+    this.updateSpectrum();
+    const size = Math.min(array.length, this.frequencyBinCount);
+    const range = this.maxDecibels - this.minDecibels;
+    for (let i = 0; i < size; i++) {
+      const db = 20 * Math.log10(this.smoothed[i]);
+      array[i] = Math.max(0, Math.min(255, Math.floor((255 / range) * (db - this.minDecibels))));
+    }
+  }
+}
@@ -0,0 +1,55 @@
+// Key regions: splits the stream of consensus keys into timed sections, so modulations show up
+// A different key only opens a region once it has stayed the consensus for minDuration seconds,
+// which keeps a borrowed chord or a window that hasn't settled from counting as a modulation
+
+import { getKeyScale } from './audioUtils';
+
+export class KeyRegionTracker {
+  constructor({ minDuration = 4 } = {}) {
+    this.minDuration = minDuration;
+    this.clear();
+  }
+
+  clear() {
+    this.regions = []; // [{ key, start, end }], times in seconds
+    this.candidate = null; // Different key waiting out minDuration: { key, start, end }
+  }
+
+  // Feed the consensus key at `time` ("G Major"); anything that isn't a key name is ignored
+  // Returns true when a new region opened
+  add(time, key) {
+    if (!getKeyScale(key)) return false;
+
+    const current = this.regions[this.regions.length - 1];
+    if (current && key === current.key) {
+      current.end = time;
+      this.candidate = null;
+      return false;
+    }
+
+    if (this.candidate && this.candidate.key === key) {
+      this.candidate.end = time;
+    } else {
+      this.candidate = { key, start: time, end: time };
+    }
+
+    if (time - this.candidate.start < this.minDuration) return false;
+
+    // The previous region ends where the new key took over
+    if (current) current.end = this.candidate.start;
+    this.regions.push(this.candidate);
+    this.candidate = null;
+    return true;
+  }
+
+  getRegions() {
+    return this.regions.map(region => ({ ...region }));
+  }
+}
+
+// Regions from a list of timed consensus keys, e.g. session log entries
+export function findKeyRegions(entries, options) {
+  const tracker = new KeyRegionTracker(options);
+  entries.forEach(({ time, key }) => tracker.add(time, key));
+  return tracker.getRegions();
+}
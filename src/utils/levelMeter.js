@@ -0,0 +1,210 @@
+// Per-channel level and loudness metering
+// source -> ChannelSplitter -> per channel: analyser (peak, RMS, phase) and K-weighting -> analyser (LUFS)
+// Loudness follows ITU-R BS.1770: K-weighted mean square over 400 ms (momentary) and 3 s (short-term) windows,
+// summed over channels. The windows are built from analyser snapshots taken each display frame, not every sample
+
+export const METER_FLOOR = -70; // dBFS shown at the bottom of the meter
+const RMS_WINDOW = 0.3; // s, VU-style RMS integration; also used for phase correlation
+const MOMENTARY_WINDOW = 0.4; // s, BS.1770 momentary loudness
+const SHORT_TERM_WINDOW = 3; // s, BS.1770 short-term loudness
+const PEAK_HOLD_TIME = 1.5; // s a peak is held before it falls
+const PEAK_HOLD_FALL = 20; // dB per second once the hold runs out
+const CLIP_LEVEL = 0.999; // Sample magnitude counted as a clip (0 dBFS, allowing for float rounding)
+
+export function linearToDb(value, floor = -Infinity) {
+  return value > 0 ? Math.max(floor, 20 * Math.log10(value)) : floor;
+}
+
+// RMS level in dBFS of a time-domain buffer
+export function rmsDb(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    sum += buffer[i] * buffer[i];
+  }
+  return linearToDb(Math.sqrt(sum / buffer.length));
+}
+
+// BS.1770 K-weighting (high shelf, then high-pass) as IIR coefficients for any sample rate
+// The standard gives them at 48 kHz; these are the analog prototypes re-derived with the bilinear transform
+export function kWeightingCoefficients(sampleRate) {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    feedforward: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    feedback: [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highpass = {
+    feedforward: [1, -2, 1],
+    feedback: [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  return [shelf, highpass];
+}
+
+// Mean square -> LUFS; null for silence
+const loudness = (meanSquare) => (meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : null);
+
+export class LevelMeter {
+  constructor(audioContext, fftSize = 2048) {
+    this.audioContext = audioContext;
+    this.splitter = audioContext.createChannelSplitter(2);
+    this.source = null;
+
+    this.channels = [0, 1].map(index => {
+      const analyser = audioContext.createAnalyser();
+      analyser.fftSize = fftSize;
+      const weightedAnalyser = audioContext.createAnalyser();
+      weightedAnalyser.fftSize = fftSize;
+
+      let node = this.splitter;
+      let output = index;
+      kWeightingCoefficients(audioContext.sampleRate).forEach(({ feedforward, feedback }) => {
+        const filter = audioContext.createIIRFilter(feedforward, feedback);
+        node.connect(filter, output);
+        node = filter;
+        output = 0;
+      });
+      node.connect(weightedAnalyser);
+      this.splitter.connect(analyser, index);
+
+      return {
+        analyser,
+        weightedAnalyser,
+        samples: new Float32Array(fftSize),
+        weighted: new Float32Array(fftSize),
+        peakHold: -Infinity,
+        peakHoldTime: 0,
+        clipped: false
+      };
+    });
+
+    this.blocks = []; // One per update(): { time, squares: [ch0, ch1], weighted: [ch0, ch1], crossSum }
+    this.channelCount = 2;
+    this.lastUpdate = null;
+  }
+
+  connect(sourceNode) {
+    this.disconnect();
+    this.source = sourceNode;
+    sourceNode.connect(this.splitter);
+  }
+
+  disconnect() {
+    if (this.source) {
+      this.source.disconnect(this.splitter);
+      this.source = null;
+    }
+    this.blocks = [];
+    this.lastUpdate = null;
+  }
+
+  // Clip indicators latch until cleared
+  resetClip() {
+    this.channels.forEach(channel => {
+      channel.clipped = false;
+    });
+  }
+
+  // Take one snapshot and return the current readings (levels in dBFS, loudness in LUFS):
+  // { channels: [{ peak, rms, peakHold, clipped }], momentary, shortTerm, correlation }
+  // channelCount 1 meters the first channel only; correlation is null for mono or silence
+  update(channelCount = 2) {
+    const time = this.audioContext.currentTime;
+    const previous = this.lastUpdate === null ? time : this.lastUpdate;
+    this.lastUpdate = time;
+    const count = Math.max(1, Math.min(2, channelCount));
+    if (count !== this.channelCount) {
+      this.blocks = []; // Windows only make sense over one channel layout
+      this.channelCount = count;
+    }
+    const block = { time, squares: [], weighted: [], crossSum: 0 };
+
+    const readings = this.channels.slice(0, count).map((channel, index) => {
+      channel.analyser.getFloatTimeDomainData(channel.samples);
+      channel.weightedAnalyser.getFloatTimeDomainData(channel.weighted);
+
+      let peak = 0;
+      let square = 0;
+      let weightedSquare = 0;
+      for (let i = 0; i < channel.samples.length; i++) {
+        const sample = channel.samples[i];
+        peak = Math.max(peak, Math.abs(sample));
+        square += sample * sample;
+        weightedSquare += channel.weighted[i] * channel.weighted[i];
+      }
+      block.squares[index] = square;
+      block.weighted[index] = weightedSquare / channel.weighted.length;
+      if (peak >= CLIP_LEVEL) channel.clipped = true;
+
+      // Peak hold: a new high resets the hold, otherwise it falls once the hold time is up
+      const peakDb = linearToDb(peak, METER_FLOOR);
+      if (peakDb >= channel.peakHold) {
+        channel.peakHold = peakDb;
+        channel.peakHoldTime = time;
+      } else if (time - channel.peakHoldTime > PEAK_HOLD_TIME) {
+        const elapsed = time - Math.max(channel.peakHoldTime + PEAK_HOLD_TIME, previous);
+        channel.peakHold = Math.max(peakDb, channel.peakHold - PEAK_HOLD_FALL * elapsed);
+      }
+
+      return { peak: peakDb, peakHold: channel.peakHold, clipped: channel.clipped };
+    });
+
+    if (count === 2) {
+      const [left, right] = this.channels;
+      for (let i = 0; i < left.samples.length; i++) {
+        block.crossSum += left.samples[i] * right.samples[i];
+      }
+    }
+
+    this.blocks.push(block);
+    while (this.blocks.length > 0 && this.blocks[0].time < time - SHORT_TERM_WINDOW) {
+      this.blocks.shift();
+    }
+
+    const recent = (window) => this.blocks.filter(b => b.time > time - window);
+    const span = time - this.blocks[0].time;
+
+    // RMS per channel over the VU window
+    const rmsBlocks = recent(RMS_WINDOW);
+    const samplesPerBlock = this.channels[0].samples.length;
+    readings.forEach((reading, index) => {
+      const sum = rmsBlocks.reduce((total, b) => total + b.squares[index], 0);
+      reading.rms = linearToDb(Math.sqrt(sum / (rmsBlocks.length * samplesPerBlock)), METER_FLOOR);
+    });
+
+    // Loudness: channel mean squares averaged over the window, then summed (left/right weights are 1)
+    const windowLoudness = (window) => {
+      const blocks = recent(window);
+      let total = 0;
+      for (let index = 0; index < count; index++) {
+        total += blocks.reduce((sum, b) => sum + b.weighted[index], 0) / blocks.length;
+      }
+      return loudness(total);
+    };
+
+    // Correlation of left and right over the RMS window: +1 in phase (mono), 0 unrelated, -1 out of phase
+    let correlation = null;
+    if (count === 2) {
+      const cross = rmsBlocks.reduce((sum, b) => sum + b.crossSum, 0);
+      const left = rmsBlocks.reduce((sum, b) => sum + b.squares[0], 0);
+      const right = rmsBlocks.reduce((sum, b) => sum + b.squares[1], 0);
+      const energy = Math.sqrt(left * right);
+      if (energy > 1e-6) correlation = Math.max(-1, Math.min(1, cross / energy));
+    }
+
+    return {
+      channels: readings,
+      // Windows that haven't filled yet report null rather than a low reading
+      momentary: span >= MOMENTARY_WINDOW - 0.05 ? windowLoudness(MOMENTARY_WINDOW) : null,
+      shortTerm: span >= SHORT_TERM_WINDOW - 0.1 ? windowLoudness(SHORT_TERM_WINDOW) : null,
+      correlation
+    };
+  }
+}
@@ -0,0 +1,135 @@
+// MIDI recording and Standard MIDI File export
+// Collects the NoteTracker's notes while recording and writes them as a format 0 .mid file
+
+// Record finished notes (see NoteTracker) with onset times relative to the start of the recording
+export class MidiRecorder {
+  constructor({ velocity = 100 } = {}) {
+    this.velocity = velocity;
+    this.clear();
+  }
+
+  clear() {
+    this.notes = [];
+    this.startTime = null;
+    this.isRecording = false;
+  }
+
+  start(time) {
+    this.clear();
+    this.startTime = time;
+    this.isRecording = true;
+  }
+
+  // activeNote: the note still sounding at `time`, if any, is cut off there
+  stop(time, activeNote = null) {
+    if (!this.isRecording) return;
+    if (activeNote) {
+      this.addNote({ ...activeNote, duration: time - activeNote.start });
+    }
+    this.isRecording = false;
+  }
+
+  // Add a finished note { midi, start, duration } (times in seconds on the audio clock)
+  // Notes already sounding when recording started are trimmed to the start
+  addNote(note) {
+    if (!this.isRecording) return;
+    const end = note.start + note.duration;
+    const start = Math.max(note.start, this.startTime);
+    if (end <= start) return;
+
+    this.notes.push({
+      midi: note.midi,
+      start: start - this.startTime, // Relative to the start of the recording
+      duration: end - start,
+      velocity: this.velocity
+    });
+  }
+
+  getNotes() {
+    return [...this.notes];
+  }
+}
+
+// Snap note starts and ends to a grid of `division` steps per beat (4 = sixteenth notes)
+export function quantizeNotes(notes, bpm, division = 4) {
+  if (!bpm || bpm <= 0) return notes;
+
+  const grid = 60 / bpm / division;
+  return notes.map(note => {
+    const start = Math.round(note.start / grid) * grid;
+    const end = Math.round((note.start + note.duration) / grid) * grid;
+    return { ...note, start, duration: Math.max(grid, end - start) };
+  });
+}
+
+// Append one byte at a time: spreading a long take into push() can overflow the argument limit
+function pushBytes(bytes, values) {
+  for (let i = 0; i < values.length; i++) {
+    bytes.push(values[i]);
+  }
+}
+
+// MIDI variable-length quantity
+function writeVarLen(bytes, value) {
+  const buffer = [value & 0x7f];
+  while ((value >>= 7) > 0) {
+    buffer.unshift((value & 0x7f) | 0x80);
+  }
+  pushBytes(bytes, buffer);
+}
+
+function writeUint32(bytes, value) {
+  bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+// Encode notes as a single-track (format 0) Standard MIDI File
+export function encodeMidiFile(notes, { bpm = 120, ppq = 480, trackName = 'ToneScope', channel = 0 } = {}) {
+  const ticksPerSecond = (bpm / 60) * ppq;
+  const toTicks = (seconds) => Math.max(0, Math.round(seconds * ticksPerSecond));
+
+  // Note-offs sort before note-ons at the same tick so repeated notes retrigger
+  const events = [];
+  notes.forEach(note => {
+    const midi = Math.max(0, Math.min(127, note.midi));
+    const velocity = Math.max(1, Math.min(127, note.velocity || 100));
+    events.push({ tick: toTicks(note.start), order: 1, data: [0x90 | channel, midi, velocity] });
+    events.push({ tick: toTicks(note.start + note.duration), order: 0, data: [0x80 | channel, midi, 0] });
+  });
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const track = [];
+
+  // Track name meta event
+  const nameBytes = new TextEncoder().encode(trackName);
+  track.push(0x00, 0xff, 0x03);
+  writeVarLen(track, nameBytes.length);
+  pushBytes(track, nameBytes);
+
+  // Tempo meta event (microseconds per quarter note)
+  const tempo = Math.round(60000000 / bpm);
+  track.push(0x00, 0xff, 0x51, 0x03, (tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff);
+
+  let lastTick = 0;
+  events.forEach(event => {
+    writeVarLen(track, event.tick - lastTick);
+    pushBytes(track, event.data);
+    lastTick = event.tick;
+  });
+
+  // End of track
+  track.push(0x00, 0xff, 0x2f, 0x00);
+
+  const header = [];
+  // Header chunk: format 0, one track, ppq ticks per quarter note
+  header.push(0x4d, 0x54, 0x68, 0x64);
+  writeUint32(header, 6);
+  header.push(0x00, 0x00, 0x00, 0x01, (ppq >> 8) & 0xff, ppq & 0xff);
+  // Track chunk
+  header.push(0x4d, 0x54, 0x72, 0x6b);
+  writeUint32(header, track.length);
+
+  const bytes = new Uint8Array(header.length + track.length);
+  bytes.set(header);
+  bytes.set(track, header.length);
+  return bytes;
+}
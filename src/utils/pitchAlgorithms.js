@@ -0,0 +1,292 @@
+// Monophonic pitch estimators for PitchDetector
+// Each takes a time-domain buffer and returns { frequency, clarity }: frequency is -1 when the
+// frame is judged unpitched, clarity (0-1) says how periodic/harmonic the frame looked
+import { fft } from './fft';
+
+const UNPITCHED = { frequency: -1, clarity: 0 };
+
+// Vertex of the parabola through (x-1, a), (x, b), (x+1, c), as an offset from x
+function parabolicOffset(a, b, c) {
+  const denominator = a - 2 * b + c;
+  if (denominator === 0) return 0;
+  return Math.max(-0.5, Math.min(0.5, (a - c) / (2 * denominator)));
+}
+
+// Cross-correlation sum over i of a[i] * b[i + lag] for every lag, via FFT (O(n log n) instead of O(n²))
+function crossCorrelate(a, b) {
+  let size = 1;
+  while (size < a.length + b.length) size <<= 1;
+
+  const aRe = new Float32Array(size);
+  const aIm = new Float32Array(size);
+  const bRe = new Float32Array(size);
+  const bIm = new Float32Array(size);
+  aRe.set(a);
+  bRe.set(b);
+  fft(aRe, aIm);
+  fft(bRe, bIm);
+
+  // conj(A) * B, then the inverse FFT as a forward FFT with real and imaginary parts swapped
+  const re = new Float32Array(size);
+  const im = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    re[i] = aRe[i] * bRe[i] + aIm[i] * bIm[i];
+    im[i] = aRe[i] * bIm[i] - aIm[i] * bRe[i];
+  }
+  fft(im, re);
+
+  const result = new Float32Array(b.length);
+  for (let lag = 0; lag < b.length; lag++) {
+    result[lag] = re[lag] / size;
+  }
+  return result;
+}
+
+// Lowest pitch a window of `size` samples can measure: the lag search needs two periods in the window
+// (about 43 Hz for 2048 samples at 44.1 kHz). Each method's minFrequency defaults to this.
+export function minDetectableFrequency(size, sampleRate) {
+  return (2 * sampleRate) / size;
+}
+
+// Lag search range for the time-domain methods
+function lagRange(size, sampleRate, minFrequency, maxFrequency) {
+  return {
+    minLag: Math.max(2, Math.floor(sampleRate / maxFrequency)),
+    maxLag: Math.min(Math.floor(size / 2), Math.ceil(sampleRate / minFrequency))
+  };
+}
+
+// Original detector: sum-of-absolute-differences scan that stops at the first rising peak above the threshold
+export function autocorrelation(buffer, sampleRate, { threshold = 0.9 } = {}) {
+  let size = buffer.length;
+  let maxSamples = Math.floor(size / 2);
+  let bestOffset = -1;
+  let bestCorrelation = 0;
+  let lastCorrelation = 1;
+
+  for (let offset = 1; offset < maxSamples; offset++) {
+    let correlation = 0;
+
+    for (let i = 0; i < maxSamples; i++) {
+      correlation += Math.abs(buffer[i] - buffer[i + offset]);
+    }
+
+    correlation = 1 - correlation / maxSamples;
+
+    if (correlation > threshold && correlation > lastCorrelation) {
+      if (correlation > bestCorrelation) {
+        bestCorrelation = correlation;
+        bestOffset = offset;
+
+        // Apply a parabolic interpolation for better accuracy
+        let shift = (buffer[bestOffset + 1] - buffer[bestOffset - 1]) /
+                    (2 * (2 * buffer[bestOffset] - buffer[bestOffset - 1] - buffer[bestOffset + 1]));
+        return { frequency: sampleRate / (bestOffset + shift), clarity: bestCorrelation };
+      }
+    }
+
+    lastCorrelation = correlation;
+  }
+
+  if (bestCorrelation > 0.01) {
+    return { frequency: sampleRate / bestOffset, clarity: bestCorrelation };
+  }
+
+  return UNPITCHED;
+}
+
+// YIN (de Cheveigné & Kawahara, 2002): cumulative mean normalized difference function,
+// first dip under the threshold. Clarity is 1 - the CMNDF value at the chosen lag.
+export function yin(buffer, sampleRate, { minFrequency = minDetectableFrequency(buffer.length, sampleRate), maxFrequency = 2000, threshold = 0.15 } = {}) {
+  const { minLag, maxLag } = lagRange(buffer.length, sampleRate, minFrequency, maxFrequency);
+  const window = Math.floor(buffer.length / 2);
+  if (maxLag <= minLag) return UNPITCHED;
+
+  // Difference function d(lag) = sum (x[i] - x[i + lag])² expanded into energies and a correlation
+  const correlation = crossCorrelate(buffer.subarray(0, window), buffer);
+  let windowEnergy = 0;
+  for (let i = 0; i < window; i++) {
+    windowEnergy += buffer[i] * buffer[i];
+  }
+
+  // Cumulative mean normalization
+  const cmndf = new Float32Array(maxLag + 1);
+  cmndf[0] = 1;
+  let shiftedEnergy = windowEnergy;
+  let runningSum = 0;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    shiftedEnergy += buffer[lag + window - 1] * buffer[lag + window - 1] - buffer[lag - 1] * buffer[lag - 1];
+    const difference = Math.max(0, windowEnergy + shiftedEnergy - 2 * correlation[lag]);
+    runningSum += difference;
+    cmndf[lag] = runningSum > 0 ? (difference * lag) / runningSum : 1;
+  }
+
+  // First dip under the limit, followed down to its local minimum
+  const firstDipUnder = (limit) => {
+    for (let lag = minLag; lag < maxLag; lag++) {
+      if (cmndf[lag] < limit) {
+        while (lag + 1 < maxLag && cmndf[lag + 1] < cmndf[lag]) {
+          lag++;
+        }
+        return lag;
+      }
+    }
+    return -1;
+  };
+
+  // Nothing under the threshold: take the first dip close to the global minimum,
+  // since later multiples of the period score slightly lower on noisy input
+  let bestLag = firstDipUnder(threshold);
+  if (bestLag === -1) {
+    let globalMinimum = Infinity;
+    for (let lag = minLag; lag < maxLag; lag++) {
+      globalMinimum = Math.min(globalMinimum, cmndf[lag]);
+    }
+    bestLag = firstDipUnder(globalMinimum + 0.1);
+  }
+  // A dip still falling at the end of the search belongs to a period longer than the window allows
+  if (bestLag === -1 || bestLag >= maxLag - 1) return UNPITCHED;
+
+  const clarity = Math.max(0, 1 - cmndf[bestLag]);
+  if (clarity < 0.5) return { frequency: -1, clarity };
+
+  const shift = parabolicOffset(cmndf[bestLag - 1], cmndf[bestLag], cmndf[bestLag + 1]);
+  return { frequency: sampleRate / (bestLag + shift), clarity };
+}
+
+// McLeod Pitch Method (McLeod & Wyvill, 2005): normalized square difference function,
+// first key maximum within k of the highest one. Clarity is the NSDF height there.
+export function mcleod(buffer, sampleRate, { minFrequency = minDetectableFrequency(buffer.length, sampleRate), maxFrequency = 2000, k = 0.9 } = {}) {
+  const { minLag, maxLag } = lagRange(buffer.length, sampleRate, minFrequency, maxFrequency);
+  const size = buffer.length;
+  if (maxLag <= minLag) return UNPITCHED;
+
+  // nsdf(lag) = 2 * acf(lag) / (energy of the two overlapping parts), energy updated incrementally
+  const acf = crossCorrelate(buffer, buffer);
+  const nsdf = new Float32Array(maxLag + 2);
+  let energy = 2 * acf[0];
+  for (let lag = 0; lag <= maxLag + 1; lag++) {
+    if (lag > 0) {
+      energy -= buffer[lag - 1] * buffer[lag - 1] + buffer[size - lag] * buffer[size - lag];
+    }
+    nsdf[lag] = energy > 0 ? (2 * acf[lag]) / energy : 0;
+  }
+
+  // Highest point of each positive lobe after the first zero crossing
+  const keyMaxima = [];
+  let lag = 1;
+  while (lag < maxLag && nsdf[lag] > 0) lag++;
+  while (lag <= maxLag) {
+    while (lag <= maxLag && nsdf[lag] <= 0) lag++;
+    let peak = lag;
+    while (lag <= maxLag && nsdf[lag] > 0) {
+      if (nsdf[lag] > nsdf[peak]) peak = lag;
+      lag++;
+    }
+    if (peak <= maxLag && peak >= minLag && nsdf[peak] > 0) {
+      keyMaxima.push(peak);
+    }
+  }
+  if (keyMaxima.length === 0) return UNPITCHED;
+
+  const highest = Math.max(...keyMaxima.map(peak => nsdf[peak]));
+  const chosen = keyMaxima.find(peak => nsdf[peak] >= k * highest);
+  // A lobe cut off by the end of the search is a period longer than the window allows
+  if (chosen >= maxLag - 1) return UNPITCHED;
+  const shift = parabolicOffset(nsdf[chosen - 1], nsdf[chosen], nsdf[chosen + 1]);
+  const clarity = Math.min(1, nsdf[chosen]);
+  if (clarity < 0.5) return { frequency: -1, clarity };
+
+  return { frequency: sampleRate / (chosen + shift), clarity };
+}
+
+// Harmonic product spectrum: multiply the spectrum by copies of itself compressed 2..harmonics
+// times so the fundamental's harmonics line up. Clarity is the share of energy on its harmonics.
+export function harmonicProductSpectrum(buffer, sampleRate, { minFrequency = minDetectableFrequency(buffer.length, sampleRate), maxFrequency = 2000, harmonics = 5 } = {}) {
+  // Zero-pad to twice the length for finer bins
+  const size = buffer.length * 2;
+  const re = new Float32Array(size);
+  const im = new Float32Array(size);
+  for (let i = 0; i < buffer.length; i++) {
+    const hann = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (buffer.length - 1));
+    re[i] = buffer[i] * hann;
+  }
+  fft(re, im);
+
+  const binCount = size / 2;
+  const magnitude = new Float32Array(binCount);
+  for (let i = 0; i < binCount; i++) {
+    magnitude[i] = Math.hypot(re[i], im[i]);
+  }
+
+  const binWidth = sampleRate / size;
+  const minBin = Math.max(1, Math.floor(minFrequency / binWidth));
+  const maxBin = Math.min(Math.floor(maxFrequency / binWidth), Math.floor((binCount - 1) / harmonics));
+  if (maxBin <= minBin) return UNPITCHED;
+
+  // Work in log magnitude with a -60 dB floor, so the product can't underflow and missing
+  // harmonics (pure tones) only cost a fixed amount
+  let peakMagnitude = 0;
+  for (let i = minBin; i < binCount; i++) {
+    peakMagnitude = Math.max(peakMagnitude, magnitude[i]);
+  }
+  if (peakMagnitude === 0) return UNPITCHED;
+  const floor = peakMagnitude * 1e-3;
+
+  // Candidates are spectral peaks with some energy of their own (-26 dB), otherwise every f0/n
+  // of a pure tone ties and the skirts of low notes win on short windows
+  const hps = new Float32Array(maxBin + 1).fill(-Infinity);
+  let bestBin = -1;
+  for (let bin = minBin; bin <= maxBin; bin++) {
+    const isPeak = magnitude[bin] >= magnitude[bin - 1] && magnitude[bin] >= magnitude[bin + 1];
+    if (!isPeak || magnitude[bin] < peakMagnitude * 0.05) continue;
+    let sum = 0;
+    for (let h = 1; h <= harmonics; h++) {
+      sum += Math.log(magnitude[bin * h] + floor);
+    }
+    hps[bin] = sum;
+    if (bestBin === -1 || sum > hps[bestBin]) bestBin = bin;
+  }
+  if (bestBin === -1) return UNPITCHED;
+
+  // HPS tends to land an octave high; prefer the sub-octave when it is nearly as strong
+  const lowerBin = Math.round(bestBin / 2);
+  let lowerPeak = -1;
+  for (let bin = Math.max(minBin, lowerBin - 1); bin <= Math.min(maxBin, lowerBin + 1); bin++) {
+    if (lowerPeak === -1 || hps[bin] > hps[lowerPeak]) lowerPeak = bin;
+  }
+  if (lowerPeak !== -1 && hps[lowerPeak] > hps[bestBin] - harmonics * Math.log(5)) {
+    bestBin = lowerPeak;
+  }
+
+  // Energy within a bin of each harmonic versus everything up to the top harmonic
+  let harmonicEnergy = 0;
+  let totalEnergy = 0;
+  const topBin = Math.min(binCount - 1, bestBin * harmonics + 1);
+  for (let bin = minBin; bin <= topBin; bin++) {
+    const energy = magnitude[bin] * magnitude[bin];
+    totalEnergy += energy;
+    const harmonic = Math.round(bin / bestBin);
+    // Hann main lobe is +-4 bins after zero-padding
+    if (harmonic >= 1 && harmonic <= harmonics && Math.abs(bin - harmonic * bestBin) <= 4) {
+      harmonicEnergy += energy;
+    }
+  }
+  const clarity = totalEnergy > 0 ? harmonicEnergy / totalEnergy : 0;
+  if (clarity < 0.5) return { frequency: -1, clarity };
+
+  // Refine on the fundamental's own spectral peak
+  // A peak on the lowest bin can be the upper skirt of a tone below the range
+  const shift = parabolicOffset(magnitude[bestBin - 1], magnitude[bestBin], magnitude[bestBin + 1]);
+  const frequency = (bestBin + shift) * binWidth;
+  if (frequency < minFrequency) return UNPITCHED;
+  return { frequency, clarity };
+}
+
+// Algorithms selectable on PitchDetector, in sidebar order
+export const PITCH_ALGORITHMS = {
+  yin: { name: 'YIN', detect: yin },
+  mcleod: { name: 'McLeod (MPM)', detect: mcleod },
+  hps: { name: 'Harmonic Product Spectrum', detect: harmonicProductSpectrum },
+  autocorrelation: { name: 'Autocorrelation (legacy)', detect: autocorrelation }
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { PITCH_ALGORITHMS, minDetectableFrequency } from './pitchAlgorithms';
+
+const SAMPLE_RATE = 44100;
+const SIZE = 2048; // Default FFT size
+
+const sine = (frequency, size = SIZE) =>
+  Float32Array.from({ length: size }, (_, i) => 0.5 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+
+const cents = (frequency, reference) => 1200 * Math.log2(frequency / reference);
+
+describe('minDetectableFrequency', () => {
+  it('is two periods per window', () => {
+    expect(minDetectableFrequency(SIZE, SAMPLE_RATE)).toBeCloseTo(43.07, 2);
+    expect(minDetectableFrequency(8192, SAMPLE_RATE)).toBeCloseTo(10.77, 2);
+  });
+});
+
+describe.each(['yin', 'mcleod', 'hps'])('%s', (id) => {
+  const { detect } = PITCH_ALGORITHMS[id];
+
+  it('reports no pitch for tones below the window limit', () => {
+    [30, 38, 41.2].forEach(frequency => {
+      expect(detect(sine(frequency), SAMPLE_RATE).frequency).toBe(-1);
+    });
+  });
+
+  it('reports no pitch below an explicit minFrequency', () => {
+    expect(detect(sine(50), SAMPLE_RATE, { minFrequency: 60 }).frequency).toBe(-1);
+  });
+
+  it('still measures tones above the limit', () => {
+    [46, 55, 82.41, 440].forEach(frequency => {
+      const result = detect(sine(frequency), SAMPLE_RATE);
+      expect(Math.abs(cents(result.frequency, frequency))).toBeLessThan(10);
+    });
+  });
+
+  it('measures E1 (41.2 Hz) with a larger window', () => {
+    const result = detect(sine(41.2, 8192), SAMPLE_RATE);
+    expect(Math.abs(cents(result.frequency, 41.2))).toBeLessThan(10);
+  });
+});
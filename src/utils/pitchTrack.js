@@ -0,0 +1,45 @@
+// Time-stamped pitch readings for the piano roll
+// Kept outside React state: the App loop adds every frame and the roll reads them in its own animation loop
+export class PitchTrack {
+  constructor(maxAge = 60) {
+    this.points = []; // { time, frequency, clarity }, oldest first
+    this.maxAge = maxAge; // Seconds of history kept
+  }
+
+  add(time, frequency, clarity = 1) {
+    this.points.push({ time, frequency, clarity });
+
+    const cutoff = time - this.maxAge;
+    let drop = 0;
+    while (drop < this.points.length && this.points[drop].time < cutoff) drop++;
+    if (drop > 0) this.points.splice(0, drop);
+  }
+
+  // Points at or after `time`
+  getPoints(time = -Infinity) {
+    let low = 0;
+    let high = this.points.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.points[mid].time < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return this.points.slice(low);
+  }
+
+  getLatest() {
+    return this.points.length > 0 ? this.points[this.points.length - 1] : null;
+  }
+
+  clear() {
+    this.points = [];
+  }
+}
+
+// Fractional MIDI note number, e.g. 69.12 for A4 twelve cents sharp
+export function frequencyToMidi(frequency, a4 = 440) {
+  return 69 + 12 * Math.log2(frequency / a4);
+}
@@ -0,0 +1,309 @@
+// Session log: every analysis frame's instantaneous and consensus results, kept in an AnalysisTimeline
+// Exports to JSON or CSV; importing either rebuilds the note, key and BPM histograms from the entries
+
+import { NOTE_NAMES, NoteTracker, noteWeight, detectScale, getKeyScale, getDefaultParams } from './audioUtils';
+import { findKeyRegions } from './keyRegions';
+
+export const SESSION_FORMAT = 'tonescope-session';
+
+// Longest session log kept in memory: 30 minutes at the 60 Hz update rate, longer at lower rates
+export const SESSION_LOG_MAX_ENTRIES = 30 * 60 * 60;
+export const SESSION_VERSION = 1;
+
+// Entry fields in CSV column order. beats is a ';'-separated list of beat times in seconds
+export const SESSION_FIELDS = [
+  'time',
+  'frequency',
+  'clarity',
+  'note',
+  'cents',
+  'key',
+  'keyConfidence',
+  'consensusKey',
+  'consensusKeyConfidence',
+  'scale',
+  'scaleFit',
+  'chord',
+  'chordConfidence',
+  'consensusChord',
+  'bpm',
+  'bpmConfidence',
+  'consensusBPM',
+  'consensusBPMConfidence',
+  'timeSignature',
+  'beatInBar',
+  'meterConfidence',
+  'beats'
+];
+
+const TEXT_FIELDS = ['note', 'key', 'consensusKey', 'scale', 'chord', 'consensusChord', 'timeSignature'];
+
+const round = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+// Log entry (without time) for one analysis frame from analyzeFrame/trackBeat
+// Fields a frame didn't produce - no pitch, key detection off, no tempo yet - are null
+// Beat times are made relative to startTime (seconds on the audio clock), like the entry times
+export function createSessionEntry(frame, startTime = 0) {
+  const { noteInfo, key, chord, beat } = frame;
+  const meter = beat && beat.meter && beat.meter.timeSignature ? beat.meter : null;
+
+  return {
+    frequency: frame.frequency > 0 ? round(frame.frequency, 2) : null,
+    clarity: frame.frequency > 0 ? round(frame.clarity, 3) : null,
+    note: noteInfo ? noteInfo.note : null,
+    cents: noteInfo ? noteInfo.cents : null,
+    key: key ? key.key : null,
+    keyConfidence: key ? key.confidence : null,
+    consensusKey: key && key.consensusKey ? key.consensusKey : null,
+    consensusKeyConfidence: key && key.consensusKey ? key.consensusConfidence : null,
+    scale: key && key.scale ? key.scale.name : null,
+    scaleFit: key && key.scale ? key.scale.fit : null,
+    chord: chord ? chord.chord : null,
+    chordConfidence: chord ? chord.confidence : null,
+    consensusChord: chord && chord.consensusChord ? chord.consensusChord : null,
+    bpm: beat && beat.bpm > 0 ? beat.bpm : null,
+    bpmConfidence: beat && beat.bpm > 0 ? beat.confidence : null,
+    consensusBPM: beat && beat.bpm > 0 ? beat.consensusBPM : null,
+    consensusBPMConfidence: beat && beat.bpm > 0 ? beat.consensusConfidence : null,
+    timeSignature: meter ? meter.timeSignature : null,
+    beatInBar: meter ? meter.beatInBar : null,
+    meterConfidence: meter ? meter.confidence : null,
+    beats: frame.beats.map(time => round(time - startTime, 3))
+  };
+}
+
+// Append a frame to the session log (an AnalysisTimeline), timed from startTime
+export function logSessionFrame(log, frame, startTime = 0) {
+  log.add(round(frame.time - startTime, 3), createSessionEntry(frame, startTime));
+}
+
+export function exportSessionJSON(entries, meta = {}) {
+  return JSON.stringify({
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...meta,
+    entries
+  });
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function exportSessionCSV(entries) {
+  const lines = [SESSION_FIELDS.join(',')];
+  entries.forEach(entry => {
+    lines.push(SESSION_FIELDS.map(field => csvCell(entry[field])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// One CSV line into cells, honouring double-quoted cells
+const splitCSVLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells;
+};
+
+const parseCSV = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const header = splitCSVLine(lines[0]);
+  if (!header.includes('time')) {
+    throw new Error('Not a ToneScope session: CSV has no time column');
+  }
+
+  return lines.slice(1).map(line => {
+    const cells = splitCSVLine(line);
+    const entry = {};
+    header.forEach((field, i) => {
+      const cell = cells[i] === undefined ? '' : cells[i];
+      if (field === 'beats') {
+        entry.beats = cell === '' ? [] : cell.split(';').map(Number);
+      } else if (cell === '') {
+        entry[field] = null;
+      } else {
+        entry[field] = TEXT_FIELDS.includes(field) ? cell : Number(cell);
+      }
+    });
+    return entry;
+  });
+};
+
+// Parse an exported session (JSON or CSV). Returns { meta, entries }, entries sorted by time
+// Throws a readable Error for anything that isn't a session, since the import UI shows the message
+export function parseSession(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Session file is empty');
+  }
+
+  let meta = {};
+  let entries;
+
+  if (/^[[{]/.test(text.trimStart())) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Session file is not valid JSON: ${err.message}`);
+    }
+    if (!data || typeof data !== 'object' || data.format !== SESSION_FORMAT) {
+      throw new Error('Not a ToneScope session file');
+    }
+    if (data.version > SESSION_VERSION) {
+      throw new Error(`Unsupported session version: ${data.version}`);
+    }
+    if (!Array.isArray(data.entries)) {
+      throw new Error('Session file has no entries list');
+    }
+    const invalid = data.entries.findIndex(entry => !entry || typeof entry !== 'object' || Array.isArray(entry));
+    if (invalid !== -1) {
+      throw new Error(`Session entry ${invalid + 1} is not an object`);
+    }
+    ({ entries, ...meta } = data);
+  } else {
+    entries = parseCSV(text);
+  }
+
+  entries = entries
+    .filter(entry => typeof entry.time === 'number' && !Number.isNaN(entry.time))
+    .map(entry => ({ ...entry, beats: Array.isArray(entry.beats) ? entry.beats : [] }))
+    .sort((a, b) => a.time - b.time);
+  return { meta, entries };
+}
+
+// Percent of readings per key, most common first
+const histogramOf = (keys) => {
+  const votes = {};
+  keys.forEach(key => {
+    votes[key] = (votes[key] || 0) + 1;
+  });
+  return Object.entries(votes)
+    .map(([key, count]) => ({ key, confidence: Math.round((count / keys.length) * 100) }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+// The logged pitch of an entry as a frequencyToNote reading, for replaying it through a NoteTracker
+const entryNoteInfo = (entry) => {
+  const match = entry.note ? /^([A-G]#?)(-?\d+)$/.exec(entry.note) : null;
+  if (!match || !NOTE_NAMES.includes(match[1])) return null;
+  const octave = parseInt(match[2], 10);
+  return {
+    note: entry.note,
+    noteName: match[1],
+    octave,
+    midi: (octave + 1) * 12 + NOTE_NAMES.indexOf(match[1]),
+    frequency: entry.frequency,
+    cents: entry.cents || 0
+  };
+};
+
+// Rebuild the display state from a session's entries, the way the detectors build it live:
+// note weights by name from the logged pitch re-segmented into notes (default NoteTracker settings),
+// key votes per key reading (lifetime and over the last consensus window), the best-fitting scale over
+// the whole note histogram, key regions from the consensus keys and BPM votes in ±2 BPM buckets per tempo reading
+// Returns { noteHistogram, key, chord, beat, keyRegions } shaped like App's state
+export function summarizeSession(entries, { noteWeighting = 'duration' } = {}) {
+  const noteHistogram = {};
+  const noteTracker = new NoteTracker();
+  const addNotes = (notes) => notes.forEach(note => {
+    noteHistogram[note.noteName] = (noteHistogram[note.noteName] || 0) + noteWeight(note, noteWeighting);
+  });
+  const keyVotes = {};
+  const keyHistory = []; // Every key reading, oldest first
+  const bpmVotes = {};
+  let keyReadings = 0;
+  let bpmReadings = 0;
+  let lastKey = null;
+  let lastChord = null;
+  let lastBeat = null;
+
+  entries.forEach(entry => {
+    addNotes(noteTracker.addFrame(entry.time, entryNoteInfo(entry)));
+    if (getKeyScale(entry.key)) { // Not 'Collecting data...' or a key name we can't draw
+      keyVotes[entry.key] = (keyVotes[entry.key] || 0) + 1;
+      keyHistory.push(entry.key);
+      keyReadings++;
+      lastKey = entry;
+    }
+    if (entry.chord) {
+      lastChord = entry;
+    }
+    if (entry.bpm) {
+      const bucket = Math.round(entry.bpm / 2) * 2;
+      bpmVotes[bucket] = (bpmVotes[bucket] || 0) + 1;
+      bpmReadings++;
+      lastBeat = entry;
+    }
+  });
+  addNotes(noteTracker.flush());
+
+  const key = lastKey
+    ? {
+        key: lastKey.key,
+        confidence: lastKey.keyConfidence || 0,
+        consensusKey: getKeyScale(lastKey.consensusKey) ? lastKey.consensusKey : lastKey.key,
+        consensusConfidence: lastKey.consensusKeyConfidence || 0,
+        histogram: NOTE_NAMES.flatMap(note => [`${note} Major`, `${note} Minor`])
+          .map(name => ({ key: name, confidence: Math.round(((keyVotes[name] || 0) / keyReadings) * 100) }))
+          .sort((a, b) => b.confidence - a.confidence),
+        recentHistogram: histogramOf(keyHistory.slice(-getDefaultParams('key').maxKeyVotes)),
+        scale: detectScale(NOTE_NAMES.map(note => noteHistogram[note] || 0))
+      }
+    : { key: 'Not detected', confidence: 0 };
+
+  const chord = lastChord
+    ? { chord: lastChord.chord, confidence: lastChord.chordConfidence || 0, consensusChord: lastChord.consensusChord, notes: [] }
+    : { chord: 'N.C.', confidence: 0 };
+
+  let beat = { bpm: 0, confidence: 0 };
+  if (lastBeat) {
+    const histogram = Object.entries(bpmVotes)
+      .map(([bpm, count]) => ({ bpm: parseInt(bpm), count, percentage: Math.round((count / bpmReadings) * 100) }))
+      .sort((a, b) => b.percentage - a.percentage);
+    const { timeSignature } = lastBeat;
+    beat = {
+      bpm: lastBeat.bpm,
+      confidence: lastBeat.bpmConfidence || 0,
+      consensusBPM: lastBeat.consensusBPM || lastBeat.bpm,
+      consensusConfidence: lastBeat.consensusBPMConfidence || 0,
+      histogram,
+      meter: timeSignature
+        ? {
+            timeSignature,
+            beatsPerBar: timeSignature === '6/8' ? 2 : parseInt(timeSignature),
+            beatInBar: lastBeat.beatInBar || 0,
+            confidence: lastBeat.meterConfidence || 0
+          }
+        : null
+    };
+  }
+
+  const keyRegions = findKeyRegions(entries.map(entry => ({ time: entry.time, key: entry.consensusKey })));
+
+  return { noteHistogram, key, chord, beat, keyRegions };
+}
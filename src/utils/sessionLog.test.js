@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { parseSession, exportSessionJSON, exportSessionCSV, SESSION_FORMAT } from './sessionLog';
+
+const entries = [
+  { time: 0.5, note: 'A4', frequency: 440, key: 'A Minor', beats: [] },
+  { time: 0.1, note: 'C4', frequency: 261.63, key: null, beats: [0.1] }
+];
+
+describe('parseSession', () => {
+  it('reads exported JSON and CSV back, sorted by time', () => {
+    const fromJSON = parseSession(exportSessionJSON(entries, { source: 'microphone' }));
+    expect(fromJSON.entries.map(entry => entry.time)).toEqual([0.1, 0.5]);
+    expect(fromJSON.meta.source).toBe('microphone');
+
+    const fromCSV = parseSession(exportSessionCSV(entries));
+    expect(fromCSV.entries.map(entry => entry.note)).toEqual(['C4', 'A4']);
+    expect(fromCSV.entries[0].beats).toEqual([0.1]);
+  });
+
+  it('rejects empty input', () => {
+    expect(() => parseSession('')).toThrow('Session file is empty');
+    expect(() => parseSession('  \n ')).toThrow('Session file is empty');
+    expect(() => parseSession(undefined)).toThrow('Session file is empty');
+  });
+
+  it('rejects JSON that is not a session object', () => {
+    expect(() => parseSession('{ "format": ')).toThrow(/^Session file is not valid JSON/);
+    expect(() => parseSession('[1, 2, 3]')).toThrow('Not a ToneScope session file');
+    expect(() => parseSession('{ "format": "something-else", "entries": [] }')).toThrow('Not a ToneScope session file');
+  });
+
+  it('rejects a missing or non-array entries list', () => {
+    expect(() => parseSession(JSON.stringify({ format: SESSION_FORMAT }))).toThrow('Session file has no entries list');
+    expect(() => parseSession(JSON.stringify({ format: SESSION_FORMAT, entries: {} }))).toThrow('Session file has no entries list');
+  });
+
+  it('rejects entries that are not objects', () => {
+    [[null], [1], ['A4'], [[0.1, 'A4']]].forEach(list => {
+      const text = JSON.stringify({ format: SESSION_FORMAT, entries: [{ time: 0 }, ...list] });
+      expect(() => parseSession(text)).toThrow('Session entry 2 is not an object');
+    });
+  });
+
+  it('rejects CSV without a time column', () => {
+    expect(() => parseSession('note,frequency\nA4,440')).toThrow('CSV has no time column');
+  });
+
+  it('replaces malformed beats with an empty list', () => {
+    const text = JSON.stringify({ format: SESSION_FORMAT, entries: [{ time: 0, beats: 'oops' }] });
+    expect(parseSession(text).entries[0].beats).toEqual([]);
+  });
+});
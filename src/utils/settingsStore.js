@@ -0,0 +1,255 @@
+// Analysis settings persisted in localStorage, and named presets that bundle them
+// Anything read back from storage or an imported file goes through sanitizeSettings first
+import { KEY_PROFILES, KEY_SOURCES, NOTE_WEIGHTINGS, DETECTOR_PARAMS, getDefaultParams } from './audioUtils';
+import { PITCH_ALGORITHMS } from './pitchAlgorithms';
+import { DEFAULT_INPUT_SETTINGS, INPUT_SAMPLE_RATES, INPUT_PROCESSING } from './audioInput';
+
+const SETTINGS_KEY = 'tonescope-settings';
+const PRESETS_KEY = 'tonescope-presets';
+export const PRESET_FORMAT = 'tonescope-preset';
+export const PRESET_VERSION = 1;
+
+// Detector parameters outside the sidebar sliders, one group per detector (see DETECTOR_PARAMS in audioUtils.js)
+// Set from the advanced settings panel and applied with applyDetectorParams (analysisFrame.js)
+export const DEFAULT_DETECTOR_PARAMS = {
+  pitch: getDefaultParams('pitch'),
+  notes: getDefaultParams('notes'),
+  beat: getDefaultParams('beat'),
+  key: getDefaultParams('key')
+};
+
+// Detector parameters with overrides for some groups, e.g. withDetectorParams({ beat: { beatThreshold: 1.2 } })
+const withDetectorParams = (overrides) => {
+  const params = {};
+  Object.keys(DEFAULT_DETECTOR_PARAMS).forEach(detector => {
+    params[detector] = { ...DEFAULT_DETECTOR_PARAMS[detector], ...overrides[detector] };
+  });
+  return params;
+};
+
+export const DEFAULT_SETTINGS = {
+  squelchDb: -50, // dBFS
+  updateRate: 60,
+  fftSize: 2048,
+  noteDetectionEnabled: true,
+  keyDetectionEnabled: true,
+  beatDetectionEnabled: true,
+  chordDetectionEnabled: true,
+  pitchAlgorithm: 'yin',
+  keySource: 'notes',
+  keyProfile: 'krumhansl',
+  noteWeighting: 'duration', // How finished notes count in the histogram and key votes
+  a4Reference: 440,
+  analysisEngine: 'worker',
+  detectorParams: DEFAULT_DETECTOR_PARAMS,
+  input: DEFAULT_INPUT_SETTINGS
+};
+
+// Settings a preset carries; A4, key profile, note weighting, engine and input device stay as the user set them
+export const PRESET_FIELDS = [
+  'squelchDb',
+  'updateRate',
+  'fftSize',
+  'noteDetectionEnabled',
+  'keyDetectionEnabled',
+  'beatDetectionEnabled',
+  'chordDetectionEnabled',
+  'pitchAlgorithm',
+  'keySource',
+  'detectorParams'
+];
+
+export const BUILTIN_PRESETS = [
+  {
+    id: 'vocals',
+    name: 'Vocals',
+    settings: {
+      squelchDb: -55,
+      updateRate: 30,
+      fftSize: 2048,
+      noteDetectionEnabled: true,
+      keyDetectionEnabled: true,
+      beatDetectionEnabled: false,
+      chordDetectionEnabled: false,
+      pitchAlgorithm: 'yin',
+      keySource: 'notes',
+      detectorParams: withDetectorParams({ pitch: { rmsThreshold: 0.008 }, key: { maxHistory: 80 } })
+    }
+  },
+  {
+    id: 'bass-guitar',
+    name: 'Bass guitar',
+    settings: {
+      squelchDb: -60,
+      updateRate: 30,
+      fftSize: 8192, // Room for several periods of a 41 Hz low E
+      noteDetectionEnabled: true,
+      keyDetectionEnabled: true,
+      beatDetectionEnabled: true,
+      chordDetectionEnabled: false,
+      pitchAlgorithm: 'yin',
+      keySource: 'notes',
+      detectorParams: withDetectorParams({ pitch: { rmsThreshold: 0.005 }, beat: { beatThreshold: 1.4 } })
+    }
+  },
+  {
+    id: 'drum-loop',
+    name: 'Drum loop',
+    settings: {
+      squelchDb: -60,
+      updateRate: 60,
+      fftSize: 1024,
+      noteDetectionEnabled: false,
+      keyDetectionEnabled: false,
+      beatDetectionEnabled: true,
+      chordDetectionEnabled: false,
+      pitchAlgorithm: 'yin',
+      keySource: 'notes',
+      detectorParams: withDetectorParams({ pitch: { rmsThreshold: 0.02 }, beat: { beatThreshold: 1.2, minTimeBetweenBeats: 250 } })
+    }
+  },
+  {
+    id: 'full-mix',
+    name: 'Full mix',
+    settings: {
+      squelchDb: -50,
+      updateRate: 60,
+      fftSize: 4096,
+      noteDetectionEnabled: true,
+      keyDetectionEnabled: true,
+      beatDetectionEnabled: true,
+      chordDetectionEnabled: true,
+      pitchAlgorithm: 'yin',
+      keySource: 'chroma', // The pitch tracker only follows one voice of a mix
+      detectorParams: withDetectorParams({})
+    }
+  }
+];
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Known fields only, each checked against its allowed values or clamped into range; anything invalid is left out
+export function sanitizeSettings(input) {
+  if (!input || typeof input !== 'object') return {};
+  const settings = {};
+
+  if (isNumber(input.squelchDb)) {
+    settings.squelchDb = clamp(Math.round(input.squelchDb), -70, -10);
+  } else if (isNumber(input.squelchThreshold)) {
+    // Settings and presets saved before squelch moved to dBFS had a 0-50% spectrum level;
+    // the built-in presets' 10/15/20% became -60/-55/-50 dB, so the old value maps to value - 70
+    settings.squelchDb = clamp(Math.round(input.squelchThreshold) - 70, -70, -10);
+  }
+  if (isNumber(input.updateRate)) settings.updateRate = clamp(Math.round(input.updateRate), 5, 60);
+  if ([512, 1024, 2048, 4096, 8192].includes(input.fftSize)) settings.fftSize = input.fftSize;
+  ['noteDetectionEnabled', 'keyDetectionEnabled', 'beatDetectionEnabled', 'chordDetectionEnabled'].forEach(field => {
+    if (typeof input[field] === 'boolean') settings[field] = input[field];
+  });
+  if (PITCH_ALGORITHMS[input.pitchAlgorithm]) settings.pitchAlgorithm = input.pitchAlgorithm;
+  if (KEY_SOURCES.includes(input.keySource)) settings.keySource = input.keySource;
+  if (KEY_PROFILES[input.keyProfile]) settings.keyProfile = input.keyProfile;
+  if (NOTE_WEIGHTINGS.includes(input.noteWeighting)) settings.noteWeighting = input.noteWeighting;
+  if (isNumber(input.a4Reference)) settings.a4Reference = clamp(input.a4Reference, 415, 466);
+  if (['worker', 'main'].includes(input.analysisEngine)) settings.analysisEngine = input.analysisEngine;
+
+  // Detector parameters are clamped into their DETECTOR_PARAMS ranges; missing ones take the default
+  const params = input.detectorParams;
+  if (params && typeof params === 'object') {
+    settings.detectorParams = {};
+    Object.entries(DETECTOR_PARAMS).forEach(([detector, table]) => {
+      const group = params[detector] && typeof params[detector] === 'object' ? params[detector] : {};
+      settings.detectorParams[detector] = { ...DEFAULT_DETECTOR_PARAMS[detector] };
+      Object.entries(table).forEach(([name, param]) => {
+        if (!isNumber(group[name])) return;
+        const value = param.integer ? Math.round(group[name]) : group[name];
+        settings.detectorParams[detector][name] = clamp(value, param.min, param.max);
+      });
+    });
+  }
+
+  // Input device and capture options; the device id is only meaningful in this browser profile
+  const capture = input.input;
+  if (capture && typeof capture === 'object') {
+    settings.input = { ...DEFAULT_INPUT_SETTINGS };
+    if (typeof capture.deviceId === 'string') settings.input.deviceId = capture.deviceId;
+    INPUT_PROCESSING.forEach(({ id }) => {
+      if (typeof capture[id] === 'boolean') settings.input[id] = capture[id];
+    });
+    if (INPUT_SAMPLE_RATES.includes(capture.sampleRate)) settings.input.sampleRate = capture.sampleRate;
+  }
+
+  return settings;
+}
+
+const readJSON = (key) => {
+  try {
+    const text = window.localStorage.getItem(key);
+    return text ? JSON.parse(text) : null;
+  } catch (err) {
+    console.warn(`Could not read ${key} from localStorage:`, err);
+    return null;
+  }
+};
+
+const writeJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Could not save ${key} to localStorage:`, err);
+  }
+};
+
+// Saved settings over the defaults
+export function loadSettings() {
+  return { ...DEFAULT_SETTINGS, ...sanitizeSettings(readJSON(SETTINGS_KEY)) };
+}
+
+export function saveSettings(settings) {
+  writeJSON(SETTINGS_KEY, settings);
+}
+
+// User presets: [{ id, name, settings }]
+export function loadCustomPresets() {
+  const presets = readJSON(PRESETS_KEY);
+  if (!Array.isArray(presets)) return [];
+  return presets
+    .filter(preset => preset && typeof preset.id === 'string' && typeof preset.name === 'string')
+    .map(preset => ({ id: preset.id, name: preset.name, settings: pickPresetFields(sanitizeSettings(preset.settings)) }));
+}
+
+export function saveCustomPresets(presets) {
+  writeJSON(PRESETS_KEY, presets);
+}
+
+export function pickPresetFields(settings) {
+  const picked = {};
+  PRESET_FIELDS.forEach(field => {
+    if (settings[field] !== undefined) picked[field] = settings[field];
+  });
+  return picked;
+}
+
+export function createPreset(name, settings) {
+  return { id: `custom-${Date.now()}`, name, settings: pickPresetFields(settings) };
+}
+
+export function exportPresetJSON(preset) {
+  return JSON.stringify({ format: PRESET_FORMAT, version: PRESET_VERSION, name: preset.name, settings: preset.settings }, null, 2);
+}
+
+// Parse an exported preset file into a new custom preset
+export function parsePreset(text) {
+  const data = JSON.parse(text);
+  if (data.format !== PRESET_FORMAT || typeof data.name !== 'string') {
+    throw new Error('Not a ToneScope preset file');
+  }
+  if (data.version > PRESET_VERSION) {
+    throw new Error(`Unsupported preset version: ${data.version}`);
+  }
+  const settings = pickPresetFields(sanitizeSettings(data.settings));
+  if (Object.keys(settings).length === 0) {
+    throw new Error('Preset has no usable settings');
+  }
+  return createPreset(data.name, settings);
+}
@@ -12,6 +12,15 @@ export const calibrationSongs = [
     bpm: 120,
     timeSignature: '4/4'
   },
+  {
+    id: 'metronome-120bpm-accent',
+    name: 'Metronome 120 BPM (Accented)',
+    filename: 'metronome_120bpm_accent.mp3',
+    description: '120 BPM metronome with an accent on beat 1 for downbeat testing',
+    expectedKey: null,
+    bpm: 120,
+    timeSignature: '4/4'
+  },
   {
     id: 'groovin',
     name: 'Groovin (Clip)',
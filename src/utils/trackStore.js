@@ -0,0 +1,99 @@
+// User-supplied calibration tracks, kept in IndexedDB so a reference set survives reloads
+// Entries look like calibrationSongs entries plus { local: true, blob, addedAt }
+const DB_NAME = 'tonescope';
+const DB_VERSION = 1;
+const STORE = 'tracks';
+
+export const SUPPORTED_AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'flac'];
+
+export function isSupportedAudioFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  return SUPPORTED_AUDIO_EXTENSIONS.includes(extension);
+}
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry after a failure (e.g. private browsing)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Run one request in its own transaction and resolve with its result once committed
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = makeRequest(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+// Oldest first
+export async function listTracks() {
+  const tracks = await withStore('readonly', store => store.getAll());
+  return tracks.sort((a, b) => a.addedAt - b.addedAt);
+}
+
+// metadata: { name, expectedKey, bpm, timeSignature } - all optional except name
+export async function addTrack(file, metadata) {
+  if (!isSupportedAudioFile(file)) {
+    throw new Error(`Unsupported audio file: ${file.name}`);
+  }
+
+  const track = {
+    id: `local-${Date.now()}`,
+    filename: file.name,
+    description: 'Local file',
+    ...normalizeMetadata(metadata, file.name),
+    local: true,
+    blob: file,
+    addedAt: Date.now()
+  };
+  await withStore('readwrite', store => store.add(track));
+  return track;
+}
+
+export async function updateTrack(id, metadata) {
+  const existing = await withStore('readonly', store => store.get(id));
+  if (!existing) {
+    throw new Error(`Unknown track: ${id}`);
+  }
+
+  const track = { ...existing, ...normalizeMetadata(metadata, existing.filename) };
+  await withStore('readwrite', store => store.put(track));
+  return track;
+}
+
+export async function deleteTrack(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
+
+// Blank fields become null so the harness skips them instead of scoring against ''
+function normalizeMetadata({ name, expectedKey, bpm, timeSignature }, filename) {
+  const parsedBPM = parseFloat(bpm);
+  return {
+    name: (name && name.trim()) || filename.replace(/\.[^.]+$/, ''),
+    expectedKey: expectedKey || null,
+    bpm: parsedBPM > 0 ? parsedBPM : null,
+    timeSignature: timeSignature || null
+  };
+}
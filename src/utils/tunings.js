@@ -0,0 +1,139 @@
+// Instrument tuning presets for tuner mode
+// Strings are listed low to high (as seen by the player) in scientific pitch notation
+import { noteToFrequency } from './audioUtils';
+import { minDetectableFrequency } from './pitchAlgorithms';
+
+const MAX_FFT_SIZE = 32768; // AnalyserNode limit
+const FLAT_MARGIN = 2 ** (-7 / 12); // Room below the lowest string: a fifth, for strings tuned well flat
+
+export const tuningPresets = [
+  {
+    id: 'chromatic',
+    instrument: 'Chromatic',
+    name: 'Any note',
+    strings: []
+  },
+  // Guitar
+  {
+    id: 'guitar-standard',
+    instrument: 'Guitar',
+    name: 'Standard (EADGBE)',
+    strings: ['E2', 'A2', 'D3', 'G3', 'B3', 'E4']
+  },
+  {
+    id: 'guitar-drop-d',
+    instrument: 'Guitar',
+    name: 'Drop D',
+    strings: ['D2', 'A2', 'D3', 'G3', 'B3', 'E4']
+  },
+  {
+    id: 'guitar-half-step-down',
+    instrument: 'Guitar',
+    name: 'Half step down',
+    strings: ['D#2', 'G#2', 'C#3', 'F#3', 'A#3', 'D#4']
+  },
+  {
+    id: 'guitar-dadgad',
+    instrument: 'Guitar',
+    name: 'DADGAD',
+    strings: ['D2', 'A2', 'D3', 'G3', 'A3', 'D4']
+  },
+  {
+    id: 'guitar-open-g',
+    instrument: 'Guitar',
+    name: 'Open G',
+    strings: ['D2', 'G2', 'D3', 'G3', 'B3', 'D4']
+  },
+  {
+    id: 'guitar-open-d',
+    instrument: 'Guitar',
+    name: 'Open D',
+    strings: ['D2', 'A2', 'D3', 'F#3', 'A3', 'D4']
+  },
+  // Bass
+  {
+    id: 'bass-standard',
+    instrument: 'Bass',
+    name: 'Standard (EADG)',
+    strings: ['E1', 'A1', 'D2', 'G2']
+  },
+  {
+    id: 'bass-drop-d',
+    instrument: 'Bass',
+    name: 'Drop D',
+    strings: ['D1', 'A1', 'D2', 'G2']
+  },
+  {
+    id: 'bass-5-string',
+    instrument: 'Bass',
+    name: '5-string (BEADG)',
+    strings: ['B0', 'E1', 'A1', 'D2', 'G2']
+  },
+  // Ukulele
+  {
+    id: 'ukulele-standard',
+    instrument: 'Ukulele',
+    name: 'Standard (GCEA)',
+    strings: ['G4', 'C4', 'E4', 'A4']
+  },
+  {
+    id: 'ukulele-low-g',
+    instrument: 'Ukulele',
+    name: 'Low G',
+    strings: ['G3', 'C4', 'E4', 'A4']
+  },
+  {
+    id: 'ukulele-baritone',
+    instrument: 'Ukulele',
+    name: 'Baritone (DGBE)',
+    strings: ['D3', 'G3', 'B3', 'E4']
+  },
+  // Bowed strings
+  {
+    id: 'violin-standard',
+    instrument: 'Violin',
+    name: 'Standard (GDAE)',
+    strings: ['G3', 'D4', 'A4', 'E5']
+  },
+  {
+    id: 'viola-standard',
+    instrument: 'Viola',
+    name: 'Standard (CGDA)',
+    strings: ['C3', 'G3', 'D4', 'A4']
+  },
+  {
+    id: 'cello-standard',
+    instrument: 'Cello',
+    name: 'Standard (CGDA)',
+    strings: ['C2', 'G2', 'D3', 'A3']
+  }
+];
+
+// Analysis window the tuner needs for a preset: at least fftSize, doubled until the lowest string
+// (a fifth flat) is above the pitch methods' window limit. Bass presets need 4096-8192 samples.
+export function tunerFftSize(preset, sampleRate, fftSize, a4 = 440) {
+  if (!preset || preset.strings.length === 0) return fftSize;
+
+  const lowest = Math.min(...preset.strings.map(note => noteToFrequency(note, a4))) * FLAT_MARGIN;
+  let size = fftSize;
+  while (size < MAX_FFT_SIZE && minDetectableFrequency(size, sampleRate) > lowest) {
+    size *= 2;
+  }
+  return size;
+}
+
+// Find the preset string closest to a frequency (in cents) and the deviation from it
+export function findNearestString(frequency, preset, a4 = 440) {
+  if (!preset || preset.strings.length === 0 || frequency <= 0) return null;
+
+  let nearest = null;
+  preset.strings.forEach((note, index) => {
+    const target = noteToFrequency(note, a4);
+    const cents = 1200 * Math.log2(frequency / target);
+    if (!nearest || Math.abs(cents) < Math.abs(nearest.cents)) {
+      nearest = { note, index, frequency: target, cents };
+    }
+  });
+
+  return nearest;
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { tuningPresets, tunerFftSize, findNearestString } from './tunings';
+import { noteToFrequency } from './audioUtils';
+import { PITCH_ALGORITHMS, minDetectableFrequency } from './pitchAlgorithms';
+
+const preset = (id) => tuningPresets.find(p => p.id === id);
+
+describe('tunerFftSize', () => {
+  it('keeps the slider size when it is already enough', () => {
+    expect(tunerFftSize(preset('guitar-standard'), 48000, 2048)).toBe(2048);
+    expect(tunerFftSize(preset('chromatic'), 48000, 2048)).toBe(2048);
+  });
+
+  it('widens the window for every bass preset', () => {
+    tuningPresets.filter(p => p.instrument === 'Bass').forEach(p => {
+      [44100, 48000].forEach(sampleRate => {
+        const size = tunerFftSize(p, sampleRate, 2048);
+        const lowest = Math.min(...p.strings.map(note => noteToFrequency(note)));
+        expect(size).toBeGreaterThan(2048);
+        expect(minDetectableFrequency(size, sampleRate)).toBeLessThan(lowest);
+      });
+    });
+  });
+
+  it('lets the pitch methods measure a bass low E in tune', () => {
+    const sampleRate = 44100;
+    const size = tunerFftSize(preset('bass-standard'), sampleRate, 2048);
+    const buffer = Float32Array.from({ length: size }, (_, i) => 0.5 * Math.sin((2 * Math.PI * 41.2 * i) / sampleRate));
+    ['yin', 'mcleod'].forEach(id => {
+      const { frequency } = PITCH_ALGORITHMS[id].detect(buffer, sampleRate);
+      const string = findNearestString(frequency, preset('bass-standard'));
+      expect(string.note).toBe('E1');
+      expect(Math.abs(string.cents)).toBeLessThan(5);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// Main-thread side of the off-thread analysis pipeline
+// source -> analysis tap worklet -> (MessagePort) -> analysis worker -> frames queued here for the UI loop
+const tapProcessorUrl = new URL('../worklets/analysisTapProcessor.js', import.meta.url);
+
+// Contexts that already have the tap processor registered
+const registeredContexts = new WeakSet();
+
+export class WorkerPipeline {
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+    this.node = null;
+    this.worker = null;
+    this.frames = []; // Results not yet picked up by drain()
+    this.maxPendingFrames = 3600; // A minute at 60 Hz if the UI loop stops (hidden tab)
+  }
+
+  async connect(sourceNode, settings) {
+    if (!registeredContexts.has(this.audioContext)) {
+      await this.audioContext.audioWorklet.addModule(tapProcessorUrl);
+      registeredContexts.add(this.audioContext);
+    }
+
+    this.node = new AudioWorkletNode(this.audioContext, 'analysis-tap-processor');
+    this.worker = new Worker(new URL('../workers/analysisWorker.js', import.meta.url), { type: 'module' });
+
+    this.worker.onmessage = (event) => {
+      if (event.data.type === 'frame') {
+        this.frames.push(event.data);
+        if (this.frames.length > this.maxPendingFrames) {
+          this.frames.shift();
+        }
+      } else if (event.data.type === 'error') {
+        console.error('Analysis worker error:', event.data.message);
+      }
+    };
+
+    // The worklet talks to the worker directly, so a busy main thread never delays samples
+    const channel = new MessageChannel();
+    this.worker.postMessage({
+      type: 'init',
+      port: channel.port2,
+      sampleRate: this.audioContext.sampleRate,
+      settings
+    }, [channel.port2]);
+    this.node.port.postMessage({ command: 'connect', port: channel.port1 }, [channel.port1]);
+
+    sourceNode.connect(this.node);
+    // The processor writes nothing, so this only keeps the node pulled by the graph
+    this.node.connect(this.audioContext.destination);
+  }
+
+  configure(settings) {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'settings', settings });
+    }
+  }
+
+  // parts: any of 'notes', 'key', 'beat', 'chord'
+  reset(parts = ['notes', 'key', 'beat', 'chord']) {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'reset', parts });
+    }
+  }
+
+  // Frames posted since the last call, oldest first
+  drain() {
+    const frames = this.frames;
+    this.frames = [];
+    return frames;
+  }
+
+  disconnect() {
+    if (this.node) {
+      this.node.port.postMessage({ command: 'disconnect' });
+      this.node.disconnect();
+      this.node = null;
+    }
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.frames = [];
+  }
+}
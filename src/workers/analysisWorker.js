@@ -0,0 +1,118 @@
+// Web Worker running pitch, note, key, chord and beat detection off the main thread
+// Sample blocks arrive from the analysis tap worklet on a MessagePort; results are posted back to WorkerPipeline
+import { PitchDetector, NoteTracker, KeyDetector, BeatDetector, MeterDetector, ChordDetector } from '../utils/audioUtils';
+import { SoftwareAnalyser } from '../utils/fft';
+import { analyzeFrame, trackBeat, applyDetectorParams } from '../utils/analysisFrame';
+
+let sampleRate = 44100;
+let settings = null;
+let detectors = null;
+let lastFrameAt = 0; // Audio-clock frame of the last analysis frame
+let pendingBeats = []; // Beat times (s) since the last analysis frame
+let lastBeat = null;
+
+function createDetectors() {
+  // Just enough of an AudioContext for the detectors' constructors
+  const context = { sampleRate, createAnalyser: () => new SoftwareAnalyser(sampleRate) };
+
+  detectors = {
+    pitchDetector: new PitchDetector(context, settings.fftSize, settings.pitchAlgorithm),
+    noteTracker: new NoteTracker(),
+    keyDetector: new KeyDetector({ profile: settings.keyProfile, source: settings.keySource }),
+    beatDetector: new BeatDetector(context, settings.fftSize),
+    meterDetector: new MeterDetector(),
+    chordDetector: new ChordDetector()
+  };
+  applyDetectorParams(detectors, settings.detectorParams);
+}
+
+function reset(parts) {
+  if (parts.includes('notes')) detectors.noteTracker.clear();
+  if (parts.includes('key')) detectors.keyDetector.clear();
+  if (parts.includes('chord')) detectors.chordDetector.clear();
+  if (parts.includes('beat')) {
+    detectors.beatDetector.reset();
+    detectors.meterDetector.reset();
+    pendingBeats = [];
+    lastBeat = null;
+  }
+}
+
+function applySettings(next) {
+  const previous = settings;
+  settings = next;
+  if (!detectors) return;
+
+  if (next.fftSize !== previous.fftSize) {
+    detectors.pitchDetector.setFftSize(next.fftSize);
+    detectors.beatDetector.setFftSize(next.fftSize);
+  }
+
+  if (next.pitchAlgorithm !== previous.pitchAlgorithm) {
+    detectors.pitchDetector.setAlgorithm(next.pitchAlgorithm);
+  }
+
+  applyDetectorParams(detectors, next.detectorParams);
+
+  // Same rules as the main thread: a new key source/profile or a switched-off detector starts over
+  if (next.keySource !== previous.keySource || next.keyProfile !== previous.keyProfile) {
+    detectors.keyDetector.setSource(next.keySource);
+    detectors.keyDetector.setProfile(next.keyProfile);
+    detectors.keyDetector.clear();
+  }
+  if (!next.keyDetectionEnabled && previous.keyDetectionEnabled) reset(['key']);
+  if (!next.chordDetectionEnabled && previous.chordDetectionEnabled) reset(['chord']);
+  if (!next.beatDetectionEnabled && previous.beatDetectionEnabled) reset(['beat']);
+}
+
+function processBlock({ frame, samples }) {
+  detectors.pitchDetector.getAnalyser().write(samples);
+  detectors.beatDetector.getAnalyser().write(samples);
+
+  // Timestamps come from the audio clock, not from when this message happened to be handled
+  const endFrame = frame + samples.length;
+  const time = endFrame / sampleRate;
+
+  // Beats are checked on every block; a beat carries its predicted time rather than the block's
+  if (settings.beatDetectionEnabled) {
+    lastBeat = trackBeat(detectors, time);
+    if (lastBeat.isBeat) {
+      pendingBeats.push(lastBeat.beatTime / 1000);
+    }
+  }
+
+  // Pitch, notes, key and chord run at the update rate
+  if (endFrame - lastFrameAt < sampleRate / settings.updateRate) return;
+  lastFrameAt = endFrame;
+
+  const result = analyzeFrame(detectors, settings, time);
+  self.postMessage({
+    type: 'frame',
+    time,
+    ...result,
+    beat: settings.beatDetectionEnabled ? lastBeat : null,
+    beats: pendingBeats
+  });
+  pendingBeats = [];
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'init') {
+    sampleRate = message.sampleRate;
+    settings = message.settings;
+    createDetectors();
+    message.port.onmessage = (blockEvent) => {
+      try {
+        processBlock(blockEvent.data);
+      } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+      }
+    };
+  } else if (message.type === 'settings') {
+    applySettings(message.settings);
+  } else if (message.type === 'reset') {
+    reset(message.parts);
+  }
+};
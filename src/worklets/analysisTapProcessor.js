@@ -0,0 +1,50 @@
+// AudioWorklet processor that streams the input, mixed to mono, to the analysis worker
+// Blocks carry the audio-clock frame of their first sample so the worker can timestamp results exactly
+
+class AnalysisTapProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.blockSize = 512; // Frames per message, 4 render quanta
+    this.buffer = new Float32Array(this.blockSize);
+    this.filled = 0;
+    this.blockStartFrame = 0;
+    this.target = null; // MessagePort to the worker, handed over by WorkerPipeline
+
+    this.port.onmessage = (event) => {
+      if (event.data.command === 'connect') {
+        this.target = event.data.port;
+      } else if (event.data.command === 'disconnect') {
+        this.target = null;
+      }
+    };
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!this.target || !input || input.length === 0) return true;
+
+    // Same mono downmix an AnalyserNode applies
+    const frames = input[0].length;
+    for (let i = 0; i < frames; i++) {
+      if (this.filled === 0) {
+        this.blockStartFrame = currentFrame + i;
+      }
+
+      let sample = 0;
+      for (let channel = 0; channel < input.length; channel++) {
+        sample += input[channel][i];
+      }
+      this.buffer[this.filled++] = sample / input.length;
+
+      if (this.filled === this.blockSize) {
+        this.target.postMessage({ frame: this.blockStartFrame, samples: this.buffer }, [this.buffer.buffer]);
+        this.buffer = new Float32Array(this.blockSize);
+        this.filled = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('analysis-tap-processor', AnalysisTapProcessor);
@@ -0,0 +1,63 @@
+// AudioWorklet processor that captures raw input blocks for AudioRecorder
+// Runs on the audio rendering thread, so it must not import anything
+
+class RecorderProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.recording = false;
+    this.chunkSize = 4096; // Frames per message posted back to the main thread
+    this.buffers = [];
+    this.filled = 0;
+
+    this.port.onmessage = (event) => {
+      if (event.data.command === 'start') {
+        this.buffers = [];
+        this.filled = 0;
+        this.recording = true;
+      } else if (event.data.command === 'stop') {
+        this.flush();
+        this.recording = false;
+        this.port.postMessage({ type: 'stopped' });
+      }
+    };
+  }
+
+  flush() {
+    if (this.filled === 0) return;
+    this.port.postMessage({
+      type: 'chunk',
+      channels: this.buffers.map(buffer => buffer.slice(0, this.filled))
+    });
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!this.recording || !input || input.length === 0) return true;
+
+    // (Re)allocate when the channel count changes
+    if (this.buffers.length !== input.length) {
+      this.flush();
+      this.buffers = input.map(() => new Float32Array(this.chunkSize));
+    }
+
+    const frames = input[0].length;
+    let offset = 0;
+    while (offset < frames) {
+      const count = Math.min(frames - offset, this.chunkSize - this.filled);
+      input.forEach((channel, i) => {
+        this.buffers[i].set(channel.subarray(offset, offset + count), this.filled);
+      });
+      this.filled += count;
+      offset += count;
+
+      if (this.filled === this.chunkSize) {
+        this.flush();
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);